@@ -0,0 +1,33 @@
+import { runBackfill } from "./backfillRunner.js";
+import { createAudioWaveform } from "../src/models/StorageItem/storageItem.service.js";
+import { extractKeyFromUri, getPresignedUrl } from "../src/lib/s3Service.js";
+
+runBackfill({
+    description: "Generating waveforms for audio files without one...",
+    where: {
+        type: "AUDIO",
+        thumbnail: null,
+        // Audio files that were probed but could not be decoded are not retried
+        mediaMeta: { none: { type: "AUDIO" } },
+    },
+    select: { uri: true, fileName: true },
+    noun: "audio files",
+    process: async (audioFile, prisma) => {
+        const key = extractKeyFromUri(audioFile.uri);
+        const { thumbnail, peaks, audio } = await createAudioWaveform(await getPresignedUrl(key), audioFile.fileName);
+
+        if (!thumbnail && !audio) {
+            console.warn(`Skipped audio file ${audioFile.id}, ffmpeg could not read it`);
+            return "skipped";
+        }
+
+        await prisma.storageItem.update({
+            where: { id: audioFile.id },
+            data: {
+                thumbnail,
+                peaks,
+                ...(audio && { mediaMeta: { create: { type: "AUDIO", payload: audio } } }),
+            },
+        });
+    },
+});
@@ -0,0 +1,66 @@
+import { runBackfill } from "./backfillRunner.js";
+import { getObjectByUri } from "../src/lib/s3Service.js";
+import { extractExifMetadata } from "../src/lib/imageMetadataService.js";
+import { extractVideoCreationTime } from "../src/lib/videoMetadataService.js";
+
+// Larger videos are dated by their upload time instead of being downloaded
+const MAX_VIDEO_DOWNLOAD_BYTES = 500 * 1024 * 1024;
+
+const downloadFile = async (uri) => {
+    const object = await getObjectByUri(uri);
+    return Buffer.from(await object.Body.transformToByteArray());
+};
+
+/**
+ * Find the capture time of an item from its stored metadata or its file
+ */
+const findCapturedAt = async (item) => {
+    const capture = item.mediaMeta.find((meta) => meta.payload?.takenAt);
+    if (capture) {
+        return new Date(capture.payload.takenAt);
+    }
+
+    if (item.type === "PHOTO") {
+        const exif = await extractExifMetadata(await downloadFile(item.uri));
+        return exif.capturedAt;
+    }
+
+    if (item.type === "VIDEO" && Number(item.fileSize) <= MAX_VIDEO_DOWNLOAD_BYTES) {
+        return extractVideoCreationTime(await downloadFile(item.uri));
+    }
+
+    return null;
+};
+
+runBackfill({
+    description: "Backfilling capture times...",
+    where: { capturedAt: null },
+    select: {
+        uri: true,
+        type: true,
+        fileSize: true,
+        createdAt: true,
+        mediaMeta: {
+            where: { type: "CAPTURE" },
+        },
+    },
+    verb: "Dated",
+    noun: "items from their metadata",
+    batchSize: 50,
+    process: async (item, prisma) => {
+        let capturedAt = null;
+
+        try {
+            capturedAt = await findCapturedAt(item);
+        } catch (error) {
+            console.error(`Failed to read metadata of item ${item.id}, using its upload time:`, error.message);
+        }
+
+        await prisma.storageItem.update({
+            where: { id: item.id },
+            data: { capturedAt: capturedAt || item.createdAt },
+        });
+
+        return capturedAt ? "processed" : "from their upload time";
+    },
+});
@@ -0,0 +1,25 @@
+import { runBackfill } from "./backfillRunner.js";
+import { getObjectByUri } from "../src/lib/s3Service.js";
+import { computeStreamHash } from "../src/lib/contentHash.js";
+
+const FILE_TYPES = ["PHOTO", "VIDEO", "AUDIO", "DOCUMENT"];
+
+runBackfill({
+    description: "Backfilling content hashes...",
+    where: {
+        contentHash: null,
+        type: { in: FILE_TYPES },
+    },
+    select: { uri: true },
+    verb: "Hashed",
+    batchSize: 50,
+    process: async (item, prisma) => {
+        const object = await getObjectByUri(item.uri);
+        const contentHash = await computeStreamHash(object.Body);
+
+        await prisma.storageItem.update({
+            where: { id: item.id },
+            data: { contentHash },
+        });
+    },
+});
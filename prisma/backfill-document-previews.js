@@ -0,0 +1,38 @@
+import { runBackfill } from "./backfillRunner.js";
+import { createDocumentPreviews } from "../src/models/StorageItem/storageItem.service.js";
+import { isPreviewableDocument } from "../src/lib/documentPreviewService.js";
+import { extractKeyFromUri, downloadBuffer } from "../src/lib/s3Service.js";
+
+runBackfill({
+    description: "Rendering pages of documents without previews...",
+    where: {
+        type: "DOCUMENT",
+        thumbnail: null,
+        // Documents whose info was read but whose pages could not be rendered are not retried
+        mediaMeta: { none: { type: "DOCUMENT" } },
+    },
+    select: { uri: true, fileName: true, fileSize: true, mimeType: true },
+    noun: "documents",
+    process: async (document, prisma) => {
+        if (!isPreviewableDocument(document.mimeType, Number(document.fileSize))) {
+            return "skipped";
+        }
+
+        const buffer = await downloadBuffer(extractKeyFromUri(document.uri));
+        const { thumbnail, pages, document: metadata } = await createDocumentPreviews(buffer, document.fileName, document.mimeType);
+
+        if (!thumbnail && !metadata) {
+            console.warn(`Skipped document ${document.id}, it could not be rendered`);
+            return "skipped";
+        }
+
+        await prisma.storageItem.update({
+            where: { id: document.id },
+            data: {
+                thumbnail,
+                ...(pages.length > 0 && { pages: { create: pages } }),
+                ...(metadata && { mediaMeta: { create: { type: "DOCUMENT", payload: metadata } } }),
+            },
+        });
+    },
+});
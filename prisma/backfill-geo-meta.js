@@ -0,0 +1,28 @@
+import { runBackfill } from "./backfillRunner.js";
+import { upsertGeoMeta } from "../src/models/StorageItem/GeoMeta/geoMeta.service.js";
+
+runBackfill({
+    description: "Copying GEO media meta into item locations...",
+    where: {
+        geoMeta: null,
+        mediaMeta: { some: { type: "GEO" } },
+    },
+    select: {
+        mediaMeta: {
+            where: { type: "GEO" },
+            select: { payload: true },
+        },
+    },
+    verb: "Located",
+    process: async (item) => {
+        let geoMeta = null;
+
+        for (const { payload } of item.mediaMeta) {
+            const source = payload?.source === "EXIF" ? "EXIF" : "ENRICHMENT";
+            geoMeta = (await upsertGeoMeta(item.id, payload, source)) || geoMeta;
+        }
+
+        // GEO payloads without usable coordinates
+        if (!geoMeta) return "skipped";
+    },
+});
@@ -0,0 +1,26 @@
+import { runBackfill } from "./backfillRunner.js";
+import { geocodeFields } from "../src/models/StorageItem/GeoMeta/geoMeta.service.js";
+import { isGazetteerLoaded } from "../src/lib/reverseGeocoder.js";
+
+// Pass --all to geocode every location again, e.g. after switching to a larger gazetteer
+const GEOCODE_ALL = process.argv.includes("--all");
+
+if (!isGazetteerLoaded()) {
+    console.error("Error during backfill: the gazetteer could not be loaded, check GAZETTEER_PATH");
+    process.exit(1);
+}
+
+runBackfill({
+    description: `Reverse geocoding ${GEOCODE_ALL ? "all" : "new"} item locations...`,
+    model: "geoMeta",
+    where: GEOCODE_ALL ? {} : { geocodedAt: null },
+    select: { lat: true, lng: true },
+    verb: "Geocoded",
+    noun: "locations",
+    process: async (location, prisma) => {
+        await prisma.geoMeta.update({
+            where: { id: location.id },
+            data: geocodeFields(location.lat, location.lng),
+        });
+    },
+});
@@ -0,0 +1,24 @@
+import { runBackfill } from "./backfillRunner.js";
+import { createUploadRenditions } from "../src/models/StorageItem/Rendition/rendition.service.js";
+import { extractKeyFromUri, downloadBuffer } from "../src/lib/s3Service.js";
+
+runBackfill({
+    description: "Rendering image renditions of photos without them...",
+    where: {
+        type: "PHOTO",
+        renditions: { none: { name: { not: null } } },
+    },
+    select: { uri: true, fileName: true, mimeType: true },
+    noun: "photos",
+    process: async (photo, prisma) => {
+        const buffer = await downloadBuffer(extractKeyFromUri(photo.uri));
+        const format = photo.mimeType === "image/png" ? "png" : "jpeg";
+        const renditions = await createUploadRenditions(buffer, photo.fileName, format);
+
+        // Variants already rendered on request are kept
+        await prisma.imageRendition.createMany({
+            data: renditions.map((rendition) => ({ ...rendition, storageItemId: photo.id })),
+            skipDuplicates: true,
+        });
+    },
+});
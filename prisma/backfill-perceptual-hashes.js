@@ -0,0 +1,32 @@
+import { runBackfill } from "./backfillRunner.js";
+import { getObjectByUri } from "../src/lib/s3Service.js";
+import { computePerceptualHash } from "../src/lib/imageMetadataService.js";
+import { assignSimilarityGroup } from "../src/models/StorageItem/Similarity/similarity.service.js";
+
+runBackfill({
+    description: "Backfilling perceptual hashes and near-duplicate groups...",
+    where: {
+        type: "PHOTO",
+        OR: [{ perceptualHash: null }, { similarityGroupId: null }],
+    },
+    select: { uri: true, userId: true, perceptualHash: true },
+    verb: "Fingerprinted",
+    noun: "photos",
+    batchSize: 50,
+    process: async (item, prisma) => {
+        let { perceptualHash } = item;
+
+        if (!perceptualHash) {
+            const object = await getObjectByUri(item.uri);
+            const buffer = Buffer.from(await object.Body.transformToByteArray());
+            perceptualHash = await computePerceptualHash(buffer);
+
+            await prisma.storageItem.update({
+                where: { id: item.id },
+                data: { perceptualHash },
+            });
+        }
+
+        await assignSimilarityGroup({ id: item.id, userId: item.userId, perceptualHash });
+    },
+});
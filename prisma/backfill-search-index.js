@@ -0,0 +1,12 @@
+import { runBackfill } from "./backfillRunner.js";
+import { refreshSearchDocument } from "../src/models/Search/search.service.js";
+
+runBackfill({
+    description: "Building search documents...",
+    where: { searchDocument: null },
+    select: {},
+    verb: "Indexed",
+    process: async (item) => {
+        await refreshSearchDocument(item.id);
+    },
+});
@@ -0,0 +1,33 @@
+import { runBackfill } from "./backfillRunner.js";
+import { createVideoPreviews } from "../src/models/StorageItem/storageItem.service.js";
+import { extractKeyFromUri, getPresignedUrl } from "../src/lib/s3Service.js";
+
+runBackfill({
+    description: "Generating previews for videos without a thumbnail...",
+    where: {
+        type: "VIDEO",
+        thumbnail: null,
+        // Videos that were probed but yielded no poster frame are not retried
+        mediaMeta: { none: { type: "VIDEO" } },
+    },
+    select: { uri: true, fileName: true },
+    noun: "videos",
+    process: async (video, prisma) => {
+        const key = extractKeyFromUri(video.uri);
+        const { thumbnail, preview, video: metadata } = await createVideoPreviews(await getPresignedUrl(key), video.fileName);
+
+        if (!thumbnail && !metadata) {
+            console.warn(`Skipped video ${video.id}, ffmpeg could not read it`);
+            return "skipped";
+        }
+
+        await prisma.storageItem.update({
+            where: { id: video.id },
+            data: {
+                thumbnail,
+                preview,
+                ...(metadata && { mediaMeta: { create: { type: "VIDEO", payload: metadata } } }),
+            },
+        });
+    },
+});
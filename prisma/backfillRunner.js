@@ -0,0 +1,83 @@
+import { PrismaClient } from "@prisma/client";
+import "dotenv/config";
+
+/**
+ * Run a backfill script: go through the rows still to backfill in id order, a batch at a time, and report progress.
+ * Each row is handed to `process`, which returns the name of the count it adds to ("processed" when it returns nothing).
+ * A row that throws is logged and counted as failed, and the backfill moves on.
+ * The script exits with an error code when the backfill itself fails.
+ * @param {Object} options
+ * @param {string} options.description - Printed when the backfill starts
+ * @param {string} [options.model] - The Prisma model to go through (default: storageItem)
+ * @param {Object} options.where - The rows still to backfill
+ * @param {Object} options.select - The fields `process` needs, the id is always selected
+ * @param {(row: Object, prisma: PrismaClient) => Promise<string|void>} options.process - Backfill one row
+ * @param {string} [options.verb] - What was done to the rows, for the progress lines (default: Processed)
+ * @param {string} [options.noun] - What the rows are, for the progress lines (default: items)
+ * @param {number} [options.batchSize] - Rows loaded at a time (default: 100)
+ */
+export const runBackfill = ({
+    description,
+    model = "storageItem",
+    where = {},
+    select,
+    process: processRow,
+    verb = "Processed",
+    noun = "items",
+    batchSize = 100,
+}) => {
+    const prisma = new PrismaClient();
+
+    const main = async () => {
+        console.log(description);
+
+        const counts = { processed: 0 };
+        let failed = 0;
+        let lastId = null;
+
+        while (true) {
+            const rows = await prisma[model].findMany({
+                where: {
+                    ...where,
+                    ...(lastId && { id: { gt: lastId } }),
+                },
+                select: { ...select, id: true },
+                orderBy: { id: "asc" },
+                take: batchSize,
+            });
+
+            if (rows.length === 0) break;
+
+            for (const row of rows) {
+                try {
+                    const outcome = (await processRow(row, prisma)) || "processed";
+                    counts[outcome] = (counts[outcome] || 0) + 1;
+                } catch (error) {
+                    console.error(`Failed to backfill ${model} ${row.id}:`, error.message);
+                    failed++;
+                }
+            }
+
+            lastId = rows[rows.length - 1].id;
+            console.log(`${verb} ${counts.processed} ${noun} so far`);
+        }
+
+        const { processed, ...others } = counts;
+        const details = Object.entries(others).map(([outcome, count]) => `${count} ${outcome}`);
+
+        console.log(`Backfill complete! ${verb} ${processed} ${noun}, ${[...details, `${failed} failed`].join(", ")}.`);
+    };
+
+    return main()
+        .catch((e) => {
+            console.error("Error during backfill:", e);
+            process.exit(1);
+        })
+        .finally(async () => {
+            await prisma.$disconnect();
+        });
+};
+
+export default {
+    runBackfill,
+};
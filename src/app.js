@@ -5,6 +5,11 @@ import userRoutes from "./models/User/user.routes.js";
 import storageRoutes from "./models/StorageItem/storageItem.routes.js";
 import personRoutes from "./models/Person/person.routes.js";
 import enrichmentRoutes from "./models/StorageItem/enrichment.routes.js";
+import chronicleRoutes from "./models/Chronicle/chronicle.routes.js";
+import trashRoutes from "./models/Trash/trash.routes.js";
+import timelineRoutes from "./models/Timeline/timeline.routes.js";
+import searchRoutes from "./models/Search/search.routes.js";
+import placeRoutes from "./models/Place/place.routes.js";
 import { errorResponse, NotFoundError } from "./lib/helpers.js";
 import cors from "cors";
 
@@ -67,6 +72,11 @@ app.use("/auth", userRoutes);
 app.use("/storage", storageRoutes);
 app.use("/enrichment", enrichmentRoutes);
 app.use("/people", personRoutes);
+app.use("/chronicles", chronicleRoutes);
+app.use("/trash", trashRoutes);
+app.use("/timeline", timelineRoutes);
+app.use("/search", searchRoutes);
+app.use("/places", placeRoutes);
 
 // Default route
 app.get("/", (req, res) => {
@@ -0,0 +1,44 @@
+import fs from "fs";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+// Generates cities.tsv from GeoNames data (https://www.geonames.org, CC BY 4.0):
+// the populated places of the all-the-cities package and the first-level division names of the cities.json package.
+// Run with `npm run build:gazetteer` after updating either package.
+
+const require = createRequire(import.meta.url);
+const cities = require("all-the-cities");
+const admin1 = require("cities.json/admin1.json");
+
+const OUTPUT_PATH = fileURLToPath(new URL("./cities.tsv", import.meta.url));
+
+// The same selection as the GeoNames cities15000 export: places over 15000 inhabitants, and every capital
+const MIN_POPULATION = 15000;
+// Neighborhoods and places that no longer exist or are no longer inhabited are left out
+const EXCLUDED_FEATURE_CODES = ["PPLX", "PPLH", "PPLQ", "PPLW", "PPLCH"];
+
+const HEADER = [
+    "# Offline gazetteer used for reverse geocoding: one populated place per line.",
+    "# Columns (tab-separated): name, region (first-level administrative division), ISO 3166-1 alpha-2 country code, latitude, longitude",
+    "# Generated by src/data/build-gazetteer.js from GeoNames data (https://www.geonames.org), licensed under CC BY 4.0.",
+];
+
+// Tabs and line breaks would break the columns
+const clean = (value) => (value || "").replace(/\s+/g, " ").trim();
+
+const regionNames = new Map(admin1.map(({ code, name }) => [code, clean(name)]));
+
+const places = cities
+    .filter((city) => city.population > MIN_POPULATION || city.featureCode === "PPLC")
+    .filter((city) => !EXCLUDED_FEATURE_CODES.includes(city.featureCode))
+    .sort((a, b) => a.country.localeCompare(b.country) || b.population - a.population || a.cityId - b.cityId);
+
+const lines = places.map((city) => {
+    const [lng, lat] = city.loc.coordinates;
+    const region = regionNames.get(`${city.country}.${city.adminCode}`) || "";
+    return [clean(city.name), region, city.country, lat.toFixed(4), lng.toFixed(4)].join("\t");
+});
+
+fs.writeFileSync(OUTPUT_PATH, [...HEADER, ...lines, ""].join("\n"));
+
+console.log(`Wrote ${lines.length} places to ${OUTPUT_PATH}`);
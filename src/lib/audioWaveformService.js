@@ -0,0 +1,142 @@
+import sharp from "sharp";
+import logger from "./logger.js";
+import { inputArgs, probe, stream, withInputPath, toNumber } from "./ffmpeg.js";
+
+// Audio is decoded to mono at this rate for the waveform, which is plenty to find the peaks
+const PEAK_SAMPLE_RATE = 8000;
+const PEAK_COUNT = parseInt(process.env.AUDIO_WAVEFORM_PEAKS) || 1000;
+
+const WAVEFORM_WIDTH = 800;
+const WAVEFORM_HEIGHT = 160;
+const WAVEFORM_COLOR = [79, 70, 229];
+
+/**
+ * Read the duration, sample rate, channels and codec of an audio file with ffprobe
+ * @param {string} input - A file path or an HTTP(S) URL
+ * @returns {Promise<Object|null>} The audio metadata, or null when the file has no audio stream
+ */
+export const probeAudio = async (input) => {
+    const { streams, format } = await probe(input);
+
+    const audio = streams.find((stream) => stream.codec_type === "audio");
+    if (!audio) return null;
+
+    return {
+        duration: toNumber(format.duration ?? audio.duration),
+        sampleRate: toNumber(audio.sample_rate),
+        channels: toNumber(audio.channels),
+        channelLayout: audio.channel_layout || null,
+        codec: audio.codec_name || null,
+        bitRate: toNumber(format.bit_rate ?? audio.bit_rate),
+        container: format.format_name || null,
+    };
+};
+
+/**
+ * Decode the audio to mono and keep the loudest sample of each of up to PEAK_COUNT equal slices.
+ * The samples are streamed from ffmpeg, so long recordings are never held in memory.
+ * @returns {Promise<number[]>} Peak amplitudes between 0 and 1
+ */
+const decodePeaks = async (input, duration) => {
+    const expectedSamples = Math.max(1, Math.ceil(duration * PEAK_SAMPLE_RATE));
+    const peakCount = Math.min(PEAK_COUNT, expectedSamples);
+    const samplesPerPeak = Math.ceil(expectedSamples / peakCount);
+    const peaks = [];
+    let sampleIndex = 0;
+    let remainder = null;
+
+    const args = [
+        "-v",
+        "error",
+        ...inputArgs(input),
+        "-vn",
+        "-ac",
+        "1",
+        "-ar",
+        String(PEAK_SAMPLE_RATE),
+        "-f",
+        "s16le",
+        "-acodec",
+        "pcm_s16le",
+        "pipe:1",
+    ];
+
+    await stream(args, (chunk) => {
+        const data = remainder ? Buffer.concat([remainder, chunk]) : chunk;
+        const usable = data.length - (data.length % 2);
+
+        for (let offset = 0; offset < usable; offset += 2) {
+            // The container duration can be short of the decoded audio, extra samples go to the last peak
+            const index = Math.min(Math.floor(sampleIndex / samplesPerPeak), peakCount - 1);
+            const amplitude = Math.abs(data.readInt16LE(offset)) / 32768;
+            if (!(peaks[index] >= amplitude)) peaks[index] = amplitude;
+            sampleIndex++;
+        }
+
+        remainder = usable < data.length ? data.subarray(usable) : null;
+    });
+
+    return Array.from(peaks, (peak) => Math.round((peak || 0) * 1000) / 1000);
+};
+
+/**
+ * Render peaks as a PNG of mirrored vertical bars on a transparent background
+ */
+const renderWaveform = (peaks, width = WAVEFORM_WIDTH, height = WAVEFORM_HEIGHT) => {
+    const pixels = Buffer.alloc(width * height * 4);
+    const middle = height / 2;
+
+    for (let x = 0; x < width; x++) {
+        // Each column shows the loudest peak it covers
+        const from = Math.floor((x * peaks.length) / width);
+        const to = Math.max(from + 1, Math.floor(((x + 1) * peaks.length) / width));
+        const peak = Math.max(0, ...peaks.slice(from, to));
+        const barHeight = Math.max(1, Math.round(peak * middle));
+
+        for (let y = Math.floor(middle - barHeight); y < Math.ceil(middle + barHeight); y++) {
+            const offset = (y * width + x) * 4;
+            pixels[offset] = WAVEFORM_COLOR[0];
+            pixels[offset + 1] = WAVEFORM_COLOR[1];
+            pixels[offset + 2] = WAVEFORM_COLOR[2];
+            pixels[offset + 3] = 255;
+        }
+    }
+
+    return sharp(pixels, { raw: { width, height, channels: 4 } })
+        .png()
+        .toBuffer();
+};
+
+/**
+ * Probe an audio file and compute its waveform with the local ffmpeg binary.
+ * The waveform is skipped when ffmpeg cannot decode the audio, keeping the metadata ffprobe could read.
+ * @param {Buffer|string} input - The audio content, or an HTTP(S) URL ffmpeg can read it from
+ * @returns {Promise<{metadata: Object|null, peaks: Object|null, waveform: Buffer|null}>} The metadata,
+ * the peaks with the duration they span, and the rendered waveform PNG
+ */
+export const processAudio = async (input) =>
+    withInputPath(input, async (source) => {
+        const metadata = await probeAudio(source).catch((error) => {
+            logger.warn(`Could not probe audio: ${error.message}`);
+            return null;
+        });
+
+        if (!metadata?.duration) {
+            return { metadata, peaks: null, waveform: null };
+        }
+
+        try {
+            const data = await decodePeaks(source, metadata.duration);
+            const waveform = await renderWaveform(data);
+
+            return { metadata, peaks: { duration: metadata.duration, data }, waveform };
+        } catch (error) {
+            logger.warn(`Could not compute audio waveform: ${error.message}`);
+            return { metadata, peaks: null, waveform: null };
+        }
+    });
+
+export default {
+    probeAudio,
+    processAudio,
+};
@@ -0,0 +1,122 @@
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import sharp from "sharp";
+import logger from "./logger.js";
+import { withTempDir } from "./tempDir.js";
+
+const execFileAsync = promisify(execFile);
+
+const HEIF_CONVERTER_PATH = process.env.HEIF_CONVERTER_PATH || "heif-convert";
+const RAW_CONVERTER_PATH = process.env.RAW_CONVERTER_PATH || "dcraw_emu";
+const TIMEOUT_MS = (parseInt(process.env.IMAGE_CONVERSION_TIMEOUT_SECONDS) || 120) * 1000;
+
+const JPEG_QUALITY = 92;
+
+// HEIF images from phones, with the file extensions they are recognized by
+const HEIF_TYPES = {
+    "image/heic": ["heic"],
+    "image/heif": ["heif", "hif"],
+};
+
+// Camera RAW formats decoded with LibRaw
+const RAW_TYPES = {
+    "image/x-adobe-dng": ["dng"],
+    "image/x-canon-cr2": ["cr2"],
+    "image/x-canon-cr3": ["cr3"],
+    "image/x-nikon-nef": ["nef"],
+    "image/x-sony-arw": ["arw"],
+    "image/x-fuji-raf": ["raf"],
+    "image/x-panasonic-rw2": ["rw2"],
+    "image/x-olympus-orf": ["orf"],
+};
+
+export const CAMERA_IMAGE_TYPES = Object.keys({ ...HEIF_TYPES, ...RAW_TYPES });
+
+const TYPES_BY_EXTENSION = new Map(
+    Object.entries({ ...HEIF_TYPES, ...RAW_TYPES }).flatMap(([type, extensions]) => extensions.map((extension) => [extension, type]))
+);
+
+/**
+ * Whether a MIME type is a HEIF or RAW photo that needs converting before it can be displayed
+ */
+export const isCameraImage = (mimeType) => CAMERA_IMAGE_TYPES.includes(mimeType);
+
+/**
+ * The MIME type of a HEIF or RAW photo from its file name.
+ * Browsers often send these files as application/octet-stream or with vendor-specific types.
+ * @returns {string|null} The MIME type, or null when the extension is not a camera format
+ */
+export const cameraImageTypeFromFileName = (fileName) => {
+    const extension = path
+        .extname(fileName || "")
+        .slice(1)
+        .toLowerCase();
+    return TYPES_BY_EXTENSION.get(extension) || null;
+};
+
+const run = (binary, args) => execFileAsync(binary, args, { timeout: TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+
+/**
+ * Decode a HEIF image with libheif's heif-convert, which handles the HEVC images sharp's bundled libvips can't.
+ * Images with several frames are written as image-1.jpg, image-2.jpg, ... and the first one is used.
+ */
+const convertHeif = async (source, dir) => {
+    await run(HEIF_CONVERTER_PATH, ["-q", String(JPEG_QUALITY), source, path.join(dir, "image.jpg")]);
+
+    const outputs = (await fs.readdir(dir))
+        .filter((file) => /^image(-\d+)?\.jpg$/.test(file))
+        .sort((a, b) => a.length - b.length || a.localeCompare(b));
+    if (outputs.length === 0) {
+        throw new Error("heif-convert produced no image");
+    }
+
+    return fs.readFile(path.join(dir, outputs[0]));
+};
+
+/**
+ * Develop a RAW photo with LibRaw's dcraw_emu (or dcraw) using the camera white balance, as a TIFF next to the source
+ */
+const convertRaw = async (source, dir) => {
+    await run(RAW_CONVERTER_PATH, ["-w", "-T", source]);
+
+    // dcraw_emu appends .tiff to the file name, dcraw replaces the extension
+    const output = (await fs.readdir(dir)).find((file) => file.endsWith(".tiff"));
+    if (!output) {
+        throw new Error("The RAW converter produced no image");
+    }
+
+    return sharp(path.join(dir, output)).jpeg({ quality: JPEG_QUALITY }).toBuffer();
+};
+
+/**
+ * Convert a HEIF or RAW photo to a full-size, upright JPEG that the rest of the photo pipeline can process.
+ * HEIF images are decoded with sharp when its libvips supports them and with heif-convert otherwise.
+ * @param {Buffer} buffer - The original image
+ * @param {string} mimeType - One of CAMERA_IMAGE_TYPES
+ * @returns {Promise<Buffer>} The JPEG image
+ */
+export const convertCameraImage = async (buffer, mimeType) => {
+    if (mimeType in HEIF_TYPES) {
+        try {
+            return await sharp(buffer).rotate().jpeg({ quality: JPEG_QUALITY }).toBuffer();
+        } catch (error) {
+            logger.debug(`sharp could not decode HEIF image, falling back to heif-convert: ${error.message}`);
+        }
+    }
+
+    return withTempDir(async (dir) => {
+        const source = path.join(dir, `source.${(HEIF_TYPES[mimeType] || RAW_TYPES[mimeType])[0]}`);
+        await fs.writeFile(source, buffer);
+
+        return mimeType in HEIF_TYPES ? convertHeif(source, dir) : convertRaw(source, dir);
+    });
+};
+
+export default {
+    CAMERA_IMAGE_TYPES,
+    isCameraImage,
+    cameraImageTypeFromFileName,
+    convertCameraImage,
+};
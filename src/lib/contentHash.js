@@ -0,0 +1,26 @@
+import { createHash } from "crypto";
+
+/**
+ * SHA-256 hex digest of a buffer
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const computeContentHash = (buffer) => createHash("sha256").update(buffer).digest("hex");
+
+/**
+ * SHA-256 hex digest of a readable stream, without buffering it in memory
+ * @param {import("stream").Readable} stream
+ * @returns {Promise<string>}
+ */
+export const computeStreamHash = async (stream) => {
+    const hash = createHash("sha256");
+    for await (const chunk of stream) {
+        hash.update(chunk);
+    }
+    return hash.digest("hex");
+};
+
+export default {
+    computeContentHash,
+    computeStreamHash,
+};
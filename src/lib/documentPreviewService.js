@@ -0,0 +1,160 @@
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import sharp from "sharp";
+import logger from "./logger.js";
+import { withTempDir } from "./tempDir.js";
+
+const execFileAsync = promisify(execFile);
+
+const PDFINFO_PATH = process.env.PDFINFO_PATH || "pdfinfo";
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || "pdftoppm";
+const SOFFICE_PATH = process.env.SOFFICE_PATH || "soffice";
+const MAX_PAGES = parseInt(process.env.DOCUMENT_PREVIEW_MAX_PAGES) || 50;
+// Larger documents are stored without previews rather than held in memory for rendering
+const MAX_SIZE = (parseInt(process.env.DOCUMENT_PREVIEW_MAX_SIZE_MB) || 100) * 1024 * 1024;
+const TIMEOUT_MS = (parseInt(process.env.DOCUMENT_PREVIEW_TIMEOUT_SECONDS) || 120) * 1000;
+
+// Longest side of the page images, large enough to read a page on screen
+const PAGE_SIZE = 1600;
+
+const PDF_MIME_TYPE = "application/pdf";
+
+// Office formats converted to PDF with LibreOffice, with the extension it recognizes them by
+const OFFICE_EXTENSIONS = {
+    "application/msword": "doc",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+    "application/vnd.ms-excel": "xls",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+    "application/vnd.ms-powerpoint": "ppt",
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation": "pptx",
+};
+
+const run = (binary, args) => execFileAsync(binary, args, { timeout: TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+
+/**
+ * Whether pages can be rendered for a document of a MIME type and size in bytes
+ */
+export const isPreviewableDocument = (mimeType, size) => (mimeType === PDF_MIME_TYPE || mimeType in OFFICE_EXTENSIONS) && size <= MAX_SIZE;
+
+/**
+ * Convert an Office document to PDF with LibreOffice.
+ * Each conversion gets its own LibreOffice profile so that concurrent conversions don't lock each other out.
+ */
+const convertToPdf = async (input, dir) => {
+    await run(SOFFICE_PATH, [
+        `-env:UserInstallation=file://${path.join(dir, "profile")}`,
+        "--headless",
+        "--convert-to",
+        "pdf",
+        "--outdir",
+        dir,
+        input,
+    ]);
+
+    return path.join(dir, `${path.parse(input).name}.pdf`);
+};
+
+/**
+ * Read the page count and document information of a PDF with pdfinfo
+ */
+const readPdfInfo = async (pdfPath) => {
+    const { stdout } = await run(PDFINFO_PATH, [pdfPath]);
+
+    const fields = {};
+    for (const line of stdout.split(/\r?\n/)) {
+        const separator = line.indexOf(":");
+        if (separator > 0) {
+            fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    }
+
+    const pageCount = parseInt(fields.Pages);
+    if (!pageCount) return null;
+
+    return {
+        pageCount,
+        title: fields.Title || null,
+        author: fields.Author || null,
+        creator: fields.Creator || null,
+        producer: fields.Producer || null,
+    };
+};
+
+/**
+ * Render the first pages of a PDF as JPEG images with pdftoppm, in page order
+ */
+const renderPages = async (pdfPath, pageCount, dir) => {
+    const outputDir = path.join(dir, "pages");
+    await fs.mkdir(outputDir);
+
+    await run(PDFTOPPM_PATH, [
+        "-jpeg",
+        "-jpegopt",
+        "quality=80",
+        "-scale-to",
+        String(PAGE_SIZE),
+        "-f",
+        "1",
+        "-l",
+        String(Math.min(pageCount, MAX_PAGES)),
+        pdfPath,
+        path.join(outputDir, "page"),
+    ]);
+
+    // pdftoppm names the images page-1.jpg or page-01.jpg depending on the number of pages
+    const files = (await fs.readdir(outputDir))
+        .map((file) => ({ file, pageNumber: parseInt(file.match(/-(\d+)\.jpg$/)?.[1]) }))
+        .filter(({ pageNumber }) => pageNumber > 0)
+        .sort((a, b) => a.pageNumber - b.pageNumber);
+
+    return Promise.all(
+        files.map(async ({ file, pageNumber }) => {
+            const image = await fs.readFile(path.join(outputDir, file));
+            const { width, height } = await sharp(image).metadata();
+            return { pageNumber, image, width, height };
+        })
+    );
+};
+
+/**
+ * Render the pages of a PDF or Office document with the locally installed poppler and LibreOffice tools.
+ * Only the first DOCUMENT_PREVIEW_MAX_PAGES pages are rendered; the page count covers the whole document.
+ * @param {Buffer} buffer - The document content
+ * @param {string} mimeType - The document MIME type
+ * @returns {Promise<{metadata: Object|null, pages: Array<{pageNumber: number, image: Buffer, width: number, height: number}>}>}
+ */
+export const processDocument = async (buffer, mimeType) =>
+    withTempDir(async (dir) => {
+        const isPdf = mimeType === PDF_MIME_TYPE;
+        const source = path.join(dir, `source.${isPdf ? "pdf" : OFFICE_EXTENSIONS[mimeType]}`);
+        await fs.writeFile(source, buffer);
+
+        const pdfPath = isPdf ? source : await convertToPdf(source, dir);
+
+        const metadata = await readPdfInfo(pdfPath).catch((error) => {
+            logger.warn(`Could not read document info: ${error.message}`);
+            return null;
+        });
+
+        if (!metadata) {
+            return { metadata: null, pages: [] };
+        }
+
+        if (!isPdf) {
+            metadata.convertedFrom = mimeType;
+        }
+
+        const pages = await renderPages(pdfPath, metadata.pageCount, dir).catch((error) => {
+            logger.warn(`Could not render document pages: ${error.message}`);
+            return [];
+        });
+
+        return { metadata, pages };
+    });
+
+export default {
+    isPreviewableDocument,
+    processDocument,
+};
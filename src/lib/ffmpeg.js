@@ -0,0 +1,106 @@
+import { execFile, spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import { withTempDir } from "./tempDir.js";
+
+const execFileAsync = promisify(execFile);
+
+export const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+export const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+const TIMEOUT_MS = (parseInt(process.env.FFMPEG_TIMEOUT_SECONDS) || 120) * 1000;
+
+// Demuxers of the video and audio types that can be uploaded. Playlist demuxers like hls and concat are left out:
+// they open the URLs and files listed in the uploaded file
+const INPUT_FORMATS = "mov,matroska,mp3,wav,ogg";
+
+/**
+ * The options reading an uploaded file as the input: only the demuxers of the supported media types,
+ * and only the protocol of the input itself, so that the file can't make ffmpeg open other URLs or local files
+ * @param {string} input - A file path or an HTTP(S) URL
+ */
+export const inputArgs = (input) => {
+    const protocols = /^https:/i.test(input) ? "https,tls,tcp" : /^http:/i.test(input) ? "http,tcp" : "file,pipe";
+    return ["-protocol_whitelist", protocols, "-format_whitelist", INPUT_FORMATS, "-i", input];
+};
+
+/**
+ * Run ffmpeg or ffprobe to completion, killing it once it runs longer than FFMPEG_TIMEOUT_SECONDS
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+export const run = (binary, args) =>
+    execFileAsync(binary, args, {
+        timeout: TIMEOUT_MS,
+        maxBuffer: 10 * 1024 * 1024,
+    });
+
+/**
+ * Run ffmpeg and hand its output to a callback chunk by chunk, for outputs too large to buffer
+ */
+export const stream = (args, onData) =>
+    new Promise((resolve, reject) => {
+        const child = spawn(FFMPEG_PATH, args, { stdio: ["ignore", "pipe", "pipe"] });
+        const timer = setTimeout(() => child.kill("SIGKILL"), TIMEOUT_MS);
+        let stderr = "";
+
+        child.stdout.on("data", onData);
+        child.stderr.on("data", (chunk) => {
+            stderr = (stderr + chunk).slice(-2000);
+        });
+
+        child.on("error", (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        child.on("close", (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(stderr.trim() || `ffmpeg exited with ${signal || `code ${code}`}`));
+            }
+        });
+    });
+
+/**
+ * Read the streams and container format of a media file with ffprobe
+ * @param {string} input - A file path or an HTTP(S) URL
+ * @returns {Promise<{streams: Object[], format: Object}>}
+ */
+export const probe = async (input) => {
+    const { stdout } = await run(FFPROBE_PATH, ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", ...inputArgs(input)]);
+    const { streams = [], format = {} } = JSON.parse(stdout);
+    return { streams, format };
+};
+
+/**
+ * Run a function with a path ffmpeg can read the input from, writing buffers to a temporary file first
+ * @param {Buffer|string} input - The file content, or an HTTP(S) URL
+ */
+export const withInputPath = (input, fn) =>
+    withTempDir(async (dir) => {
+        let source = input;
+        if (Buffer.isBuffer(input)) {
+            source = path.join(dir, "source");
+            await fs.writeFile(source, input);
+        }
+
+        return fn(source, dir);
+    });
+
+export const toNumber = (value) => {
+    const number = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(number) ? number : null;
+};
+
+export default {
+    FFMPEG_PATH,
+    FFPROBE_PATH,
+    inputArgs,
+    run,
+    stream,
+    probe,
+    withInputPath,
+    toNumber,
+};
@@ -0,0 +1,118 @@
+const EARTH_RADIUS_KM = 6371;
+const METERS_PER_DEGREE = 111320;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two coordinates using the haversine formula
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} Distance in kilometers
+ */
+export const haversineDistance = (a, b) => {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Read coordinates from a GEO payload, accepting both lat/lng and latitude/longitude keys
+ * @param {Object} payload - GEO MediaMeta payload
+ * @returns {{lat: number, lng: number} | null}
+ */
+export const extractCoordinates = (payload) => {
+    if (!payload || typeof payload !== "object") return null;
+
+    const lat = parseFloat(payload.lat ?? payload.latitude);
+    const lng = parseFloat(payload.lng ?? payload.longitude);
+
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+
+    return { lat, lng };
+};
+
+/**
+ * Parse a bounding box given as "west,south,east,north" (min longitude, min latitude, max longitude, max latitude).
+ * West may be greater than east for boxes crossing the antimeridian.
+ * @returns {{west: number, south: number, east: number, north: number} | null} null when the box is invalid
+ */
+export const parseBoundingBox = (value) => {
+    if (typeof value !== "string") return null;
+
+    const parts = value.split(",").map((part) => (part.trim() === "" ? NaN : Number(part)));
+    if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) return null;
+
+    const [west, south, east, north] = parts;
+    if (Math.abs(west) > 180 || Math.abs(east) > 180 || Math.abs(south) > 90 || Math.abs(north) > 90 || south > north) {
+        return null;
+    }
+
+    return { west, south, east, north };
+};
+
+/**
+ * Box around a circle, used to narrow down candidates with the coordinates index before computing distances.
+ * Longitudes are not narrowed near the poles or when the box would cross the antimeridian.
+ * @param {number} radius - In meters
+ * @returns {{west: number, south: number, east: number, north: number}}
+ */
+export const circleBounds = (lat, lng, radius) => {
+    const latDelta = radius / METERS_PER_DEGREE;
+    const south = Math.max(-90, lat - latDelta);
+    const north = Math.min(90, lat + latDelta);
+
+    const cosLat = Math.cos((Math.max(Math.abs(south), Math.abs(north)) * Math.PI) / 180);
+    const lngDelta = cosLat > 0 ? latDelta / cosLat : Infinity;
+
+    if (lng - lngDelta < -180 || lng + lngDelta > 180) {
+        return { west: -180, south, east: 180, north };
+    }
+
+    return { west: lng - lngDelta, south, east: lng + lngDelta, north };
+};
+
+/**
+ * Smallest box containing every vertex of a polygon
+ * @param {Array<{lat: number, lng: number}>} polygon
+ */
+export const polygonBounds = (polygon) => ({
+    west: Math.min(...polygon.map((point) => point.lng)),
+    south: Math.min(...polygon.map((point) => point.lat)),
+    east: Math.max(...polygon.map((point) => point.lng)),
+    north: Math.max(...polygon.map((point) => point.lat)),
+});
+
+/**
+ * Whether a point is inside a polygon, using ray casting on plain latitudes and longitudes.
+ * Good enough for polygons the size of a neighbourhood; polygons crossing the antimeridian are not supported.
+ * @param {{lat: number, lng: number}} point
+ * @param {Array<{lat: number, lng: number}>} polygon - Vertices in order, the last one connecting back to the first
+ */
+export const isPointInPolygon = (point, polygon) => {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+
+        if (a.lat > point.lat !== b.lat > point.lat && point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+};
+
+export default {
+    haversineDistance,
+    extractCoordinates,
+    parseBoundingBox,
+    circleBounds,
+    polygonBounds,
+    isPointInPolygon,
+};
@@ -0,0 +1,68 @@
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+export const MAX_GEOHASH_PRECISION = 12;
+
+/**
+ * Encode coordinates as a geohash
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} precision - Number of characters, 1 to 12
+ */
+export const encodeGeohash = (lat, lng, precision) => {
+    const latRange = [-90, 90];
+    const lngRange = [-180, 180];
+    let hash = "";
+    let bits = 0;
+    let bitCount = 0;
+    // Geohash bits alternate between longitude and latitude, starting with longitude
+    let isLng = true;
+
+    while (hash.length < precision) {
+        const range = isLng ? lngRange : latRange;
+        const value = isLng ? lng : lat;
+        const mid = (range[0] + range[1]) / 2;
+
+        bits <<= 1;
+        if (value >= mid) {
+            bits |= 1;
+            range[0] = mid;
+        } else {
+            range[1] = mid;
+        }
+
+        isLng = !isLng;
+        bitCount++;
+
+        if (bitCount === 5) {
+            hash += BASE32[bits];
+            bits = 0;
+            bitCount = 0;
+        }
+    }
+
+    return hash;
+};
+
+/**
+ * Size in degrees of the geohash cells of a precision.
+ * Cells form a regular grid starting at (-90, -180), so an item's cell can be computed from its coordinates alone.
+ * @returns {{latHeight: number, lngWidth: number, rows: number, columns: number}}
+ */
+export const geohashCellSize = (precision) => {
+    const bits = precision * 5;
+    const lngBits = Math.ceil(bits / 2);
+    const latBits = Math.floor(bits / 2);
+
+    return {
+        latHeight: 180 / 2 ** latBits,
+        lngWidth: 360 / 2 ** lngBits,
+        rows: 2 ** latBits,
+        columns: 2 ** lngBits,
+    };
+};
+
+export default {
+    encodeGeohash,
+    geohashCellSize,
+    MAX_GEOHASH_PRECISION,
+};
@@ -62,4 +62,9 @@ class ValidationError extends ApiError {
     }
 }
 
-export { errorResponse, successResponse, ApiError, BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ValidationError };
+/**
+ * Whether a value parses to a valid date
+ */
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+export { errorResponse, successResponse, isValidDate, ApiError, BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ValidationError };
@@ -1,4 +1,5 @@
 import sharp from "sharp";
+import exifr from "exifr";
 import logger from "./logger.js";
 
 export const generateThumbnail = async (buffer, width = 300, height = 300) => {
@@ -57,7 +58,162 @@ export const processImageFormat = async (buffer) => {
     }
 };
 
+export const IMAGE_CONTENT_TYPES = {
+    jpeg: "image/jpeg",
+    png: "image/png",
+    webp: "image/webp",
+    avif: "image/avif",
+};
+
+const ENCODER_OPTIONS = {
+    jpeg: { quality: 82, mozjpeg: true },
+    png: { compressionLevel: 9 },
+    webp: { quality: 80 },
+    avif: { quality: 50 },
+};
+
+/**
+ * Resize an image into a box and encode it in one of IMAGE_CONTENT_TYPES, turned upright by its EXIF orientation.
+ * Images are never enlarged, and a missing width or height follows from the aspect ratio.
+ * @param {Object} options - `width`, `height`, a sharp `fit` (default inside) and the output `format`
+ * @returns {Promise<{buffer: Buffer, width: number, height: number, contentType: string}>}
+ */
+export const resizeImage = async (buffer, { width, height, fit = "inside", format }) => {
+    try {
+        let image = sharp(buffer)
+            .rotate()
+            .resize({
+                width: width || undefined,
+                height: height || undefined,
+                fit,
+                withoutEnlargement: true,
+            });
+
+        // JPEG has no transparency, so transparent areas become white rather than black
+        if (format === "jpeg") {
+            image = image.flatten({ background: "#ffffff" });
+        }
+
+        const { data, info } = await image.toFormat(format, ENCODER_OPTIONS[format]).toBuffer({ resolveWithObject: true });
+
+        return { buffer: data, width: info.width, height: info.height, contentType: IMAGE_CONTENT_TYPES[format] };
+    } catch (error) {
+        logger.error("Error resizing image:", error);
+        throw error;
+    }
+};
+
+/**
+ * Compute a 64-bit difference hash (dHash) of an image as a 16 character hex string.
+ * Visually similar images (resized, re-compressed, burst shots) have hashes with a small Hamming distance.
+ */
+export const computePerceptualHash = async (buffer) => {
+    try {
+        // 9x8 grayscale pixels give 8 horizontal gradients per row
+        const pixels = await sharp(buffer).rotate().flatten({ background: "#ffffff" }).grayscale().resize(9, 8, { fit: "fill" }).raw().toBuffer();
+
+        let hash = "";
+        let nibble = 0;
+
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const bit = pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1 : 0;
+                nibble = (nibble << 1) | bit;
+
+                if ((row * 8 + col) % 4 === 3) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                }
+            }
+        }
+
+        return hash;
+    } catch (error) {
+        logger.error("Error computing perceptual hash:", error);
+        throw error;
+    }
+};
+
+/**
+ * Convert an EXIF date ("2015:07:04 18:30:05") and optional offset ("+02:00") to a Date.
+ * Without an offset the wall-clock time is kept as UTC.
+ */
+const parseExifDate = (value, offset) => {
+    if (typeof value !== "string") return null;
+
+    const match = value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second] = match;
+    const zone = typeof offset === "string" && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : "Z";
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+
+    return Number.isNaN(date.getTime()) || date.getUTCFullYear() < 1900 ? null : date;
+};
+
+const isValidCoordinate = (lat, lng) =>
+    Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && !(lat === 0 && lng === 0);
+
+/**
+ * Extract capture time, camera details and GPS coordinates from the EXIF data of an image.
+ * Must run on the original upload, since format conversion drops EXIF.
+ * @returns {Promise<{capturedAt: Date|null, capture: Object|null, geo: Object|null}>} `capture` and `geo` are MediaMeta payloads
+ */
+export const extractExifMetadata = async (buffer) => {
+    try {
+        const tags = await exifr.parse(buffer, { tiff: true, exif: true, gps: true, reviveValues: false, translateValues: false });
+
+        if (!tags) {
+            return { capturedAt: null, capture: null, geo: null };
+        }
+
+        const offset = tags.OffsetTimeOriginal || tags.OffsetTime;
+        const capturedAt = parseExifDate(tags.DateTimeOriginal, offset) || parseExifDate(tags.CreateDate, offset);
+
+        const capture = {
+            source: "EXIF",
+            takenAt: capturedAt ? capturedAt.toISOString() : null,
+            timezoneOffset: offset || null,
+            cameraMake: tags.Make || null,
+            cameraModel: tags.Model || null,
+            lensModel: tags.LensModel || null,
+            software: tags.Software || null,
+            orientation: tags.Orientation || null,
+            width: tags.ExifImageWidth || tags.ImageWidth || null,
+            height: tags.ExifImageHeight || tags.ImageHeight || null,
+            exposureTime: tags.ExposureTime || null,
+            fNumber: tags.FNumber || null,
+            iso: tags.ISO || null,
+            focalLength: tags.FocalLength || null,
+        };
+        // Image dimensions alone come from the file header, not from EXIF
+        const hasCaptureData = Object.entries(capture).some(([key, value]) => !["source", "width", "height"].includes(key) && value !== null);
+
+        let geo = null;
+        if (isValidCoordinate(tags.latitude, tags.longitude)) {
+            // An altitude reference of 1 means below sea level
+            const altitudeRef = tags.GPSAltitudeRef?.[0] ?? tags.GPSAltitudeRef;
+
+            geo = {
+                source: "EXIF",
+                lat: tags.latitude,
+                lng: tags.longitude,
+                altitude: Number.isFinite(tags.GPSAltitude) ? tags.GPSAltitude * (altitudeRef === 1 ? -1 : 1) : null,
+            };
+        }
+
+        return { capturedAt, capture: hasCaptureData ? capture : null, geo };
+    } catch (error) {
+        logger.error("Error extracting EXIF metadata:", error);
+        throw error;
+    }
+};
+
 export default {
     generateThumbnail,
     processImageFormat,
+    resizeImage,
+    IMAGE_CONTENT_TYPES,
+    computePerceptualHash,
+    extractExifMetadata,
 };
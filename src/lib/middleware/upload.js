@@ -1,54 +1,123 @@
 import multer from "multer";
 import { BadRequestError } from "../helpers.js";
+import { CAMERA_IMAGE_TYPES, cameraImageTypeFromFileName } from "../cameraImageService.js";
 
 const storage = multer.memoryStorage();
 
-const fileFilter = (req, file, cb) => {
-    const allowedMimeTypes = [
-        // Images
-        'image/jpeg',
-        'image/png',
-        'image/gif',
-        'image/webp',
-        'image/svg+xml',
-        
-        // Videos
-        'video/mp4',
-        'video/webm',
-        'video/quicktime',
-        
-        // Audio
-        'audio/mpeg',
-        'audio/wav',
-        'audio/ogg',
-        
-        // Documents
-        'application/pdf',
-        'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'application/vnd.ms-excel',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'application/vnd.ms-powerpoint',
-        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-        'text/plain',
-        'text/csv'
-    ];
+export const allowedMimeTypes = [
+    // Images
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'image/svg+xml',
     
-    if (allowedMimeTypes.includes(file.mimetype)) {
+    // HEIF and camera RAW photos, converted to JPEG for display
+    ...CAMERA_IMAGE_TYPES,
+    
+    // Videos
+    'video/mp4',
+    'video/webm',
+    'video/quicktime',
+    
+    // Audio
+    'audio/mpeg',
+    'audio/wav',
+    'audio/ogg',
+    
+    // Documents
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain',
+    'text/csv'
+];
+
+/**
+ * Resolve the MIME type of a file, recognizing HEIF and RAW photos by their extension
+ * when the client sends them as application/octet-stream or with a type of its own
+ */
+export const resolveMimeType = (mimeType, fileName) => {
+    if (allowedMimeTypes.includes(mimeType)) return mimeType;
+    return cameraImageTypeFromFileName(fileName) || mimeType;
+};
+
+const maxFileSizeMB = parseInt(process.env.MAX_FILE_SIZE) || 50;
+const maxFileSize = maxFileSizeMB * 1024 * 1024;
+
+const isAllowedFile = (file) => {
+    file.mimetype = resolveMimeType(file.mimetype, file.originalname);
+    return allowedMimeTypes.includes(file.mimetype);
+};
+
+const fileFilter = (req, file, cb) => {
+    if (isAllowedFile(file)) {
         cb(null, true);
     } else {
         cb(new BadRequestError(`File type '${file.mimetype}' is not supported`), false);
     }
 };
 
+// Unsupported files of a batch are skipped and recorded on req.rejectedFiles instead of failing the whole request
+const batchFileFilter = (req, file, cb) => {
+    if (isAllowedFile(file)) {
+        cb(null, true);
+    } else {
+        req.rejectedFiles.push({ fileName: file.originalname, error: `File type '${file.mimetype}' is not supported` });
+        cb(null, false);
+    }
+};
+
 const upload = multer({
     storage,
     fileFilter,
     limits: {
-        fileSize: process.env.MAX_FILE_SIZE * 1024 * 1024,
+        fileSize: maxFileSize,
     }
 });
 
+// Memory storage for batches that stops keeping a file's data once it passes the size limit,
+// the rest of that file is read and dropped and the file is recorded on req.rejectedFiles
+const batchStorage = {
+    _handleFile(req, file, cb) {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        file.stream.on('data', (chunk) => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > maxFileSize) {
+                tooLarge = true;
+                chunks.length = 0;
+                return;
+            }
+            chunks.push(chunk);
+        });
+        file.stream.on('error', cb);
+        file.stream.on('end', () => {
+            if (tooLarge) {
+                req.rejectedFiles.push({ fileName: file.originalname, error: `File too large. Maximum size is ${maxFileSizeMB}MB` });
+                return cb(null, { tooLarge: true });
+            }
+            cb(null, { buffer: Buffer.concat(chunks), size });
+        });
+    },
+    _removeFile(req, file, cb) {
+        delete file.buffer;
+        cb(null);
+    }
+};
+
+const batchUpload = multer({
+    storage: batchStorage,
+    fileFilter: batchFileFilter,
+});
+
 
 // Single file upload middleware
 export const uploadSingle = (fieldName = 'file') => {
@@ -59,7 +128,7 @@ export const uploadSingle = (fieldName = 'file') => {
             if (err) {
                 if (err instanceof multer.MulterError) {
                     if (err.code === 'LIMIT_FILE_SIZE') {
-                        return next(new BadRequestError('File too large. Maximum size is 50MB'));
+                        return next(new BadRequestError(`File too large. Maximum size is ${maxFileSizeMB}MB`));
                     }
                     return next(new BadRequestError(err.message));
                 }
@@ -73,16 +142,16 @@ export const uploadSingle = (fieldName = 'file') => {
 };
 
 // Multiple files upload middleware
+// Files that are rejected are listed in req.rejectedFiles as { fileName, error } and left out of req.files
 export const uploadMultiple = (fieldName = 'files', maxCount = 10) => {
     return (req, res, next) => {
-        const uploadMiddleware = upload.array(fieldName, maxCount);
+        const uploadMiddleware = batchUpload.array(fieldName, maxCount);
+        req.rejectedFiles = [];
         
         uploadMiddleware(req, res, (err) => {
             if (err) {
                 if (err instanceof multer.MulterError) {
-                    if (err.code === 'LIMIT_FILE_SIZE') {
-                        return next(new BadRequestError('File too large. Maximum size is 50MB'));
-                    } else if (err.code === 'LIMIT_FILE_COUNT') {
+                    if (err.code === 'LIMIT_FILE_COUNT') {
                         return next(new BadRequestError(`Too many files. Maximum is ${maxCount}`));
                     }
                     return next(new BadRequestError(err.message));
@@ -91,12 +160,16 @@ export const uploadMultiple = (fieldName = 'files', maxCount = 10) => {
                 return next(err);
             }
             
+            req.files = (req.files || []).filter((file) => !file.tooLarge);
+            
             next();
         });
     };
 };
 
 export default {
+    allowedMimeTypes,
+    resolveMimeType,
     uploadSingle,
     uploadMultiple
 }; 
\ No newline at end of file
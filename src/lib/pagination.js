@@ -0,0 +1,108 @@
+import { BadRequestError } from "./helpers.js";
+
+/**
+ * Encode the position of a record in a sorted listing as an opaque cursor
+ * @param {Object} record - The record to continue from
+ * @param {string} field - The sort field
+ * @param {"next"|"prev"} direction - Whether the cursor continues after or before the record
+ */
+export const encodeCursor = (record, field, direction) => {
+    const value = record[field] instanceof Date ? record[field].toISOString() : record[field];
+    return Buffer.from(JSON.stringify({ v: value, id: record.id, d: direction })).toString("base64url");
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @throws {BadRequestError} When the cursor is malformed
+ */
+export const decodeCursor = (cursor, isDate = false) => {
+    try {
+        const { v, id, d } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+
+        if (typeof id !== "string" || !["next", "prev"].includes(d)) {
+            throw new Error("Malformed cursor");
+        }
+
+        const value = isDate && v !== null ? new Date(v) : v;
+        if (isDate && value !== null && Number.isNaN(value.getTime())) {
+            throw new Error("Malformed cursor");
+        }
+
+        return { value, id, direction: d };
+    } catch {
+        throw new BadRequestError("Invalid cursor");
+    }
+};
+
+/**
+ * Build the condition selecting the records after a position, in a listing sorted by field then id.
+ * Null values of the sort field are ordered last when nullsLast is set, first otherwise.
+ */
+const afterPosition = (field, { value, id }, sort, nullsLast) => {
+    const op = sort === "desc" ? "lt" : "gt";
+
+    if (value === null) {
+        return nullsLast ? { [field]: null, id: { [op]: id } } : { OR: [{ [field]: null, id: { [op]: id } }, { [field]: { not: null } }] };
+    }
+
+    const conditions = [{ [field]: { [op]: value } }, { [field]: value, id: { [op]: id } }];
+    if (nullsLast) {
+        conditions.push({ [field]: null });
+    }
+
+    return { OR: conditions };
+};
+
+/**
+ * Fetch one page of a keyset-paginated listing sorted by a field and then by id.
+ * Keyset pages stay stable while records are added, unlike skip/take pages.
+ * @param {Object} delegate - The Prisma model delegate, e.g. prisma.storageItem
+ * @param {Object} options
+ * @param {Object} options.where - The listing filters
+ * @param {string} options.field - The sort field, e.g. "capturedAt" or "name"
+ * @param {"asc"|"desc"} options.sort - The sort order of the listing
+ * @param {boolean} options.isDate - Whether the sort field holds dates
+ * @param {string} [options.cursor] - A cursor returned by a previous page, omitted for the first page
+ * @param {number} options.limit - The page size
+ * @param {Object} [options.include] - Relations to include
+ * @returns {Promise<{items: Array, nextCursor: string|null, prevCursor: string|null}>}
+ */
+export const findPageByCursor = async (delegate, { where, field, sort, isDate = false, cursor, limit, include }) => {
+    const position = cursor ? decodeCursor(cursor, isDate) : null;
+    const backwards = position?.direction === "prev";
+
+    // Pages before the cursor are read in reverse and flipped back afterwards
+    const querySort = backwards ? (sort === "asc" ? "desc" : "asc") : sort;
+    const nullsLast = !backwards;
+
+    const conditions = [...(where.AND || [])];
+    if (position) {
+        conditions.push(afterPosition(field, position, querySort, nullsLast));
+    }
+
+    const records = await delegate.findMany({
+        where: { ...where, AND: conditions },
+        orderBy: [{ [field]: { sort: querySort, nulls: nullsLast ? "last" : "first" } }, { id: querySort }],
+        take: limit + 1,
+        include,
+    });
+
+    const hasMore = records.length > limit;
+    const items = records.slice(0, limit);
+    if (backwards) items.reverse();
+
+    const hasNext = backwards ? true : hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(position);
+
+    return {
+        items,
+        nextCursor: hasNext && items.length > 0 ? encodeCursor(items[items.length - 1], field, "next") : null,
+        prevCursor: hasPrev && items.length > 0 ? encodeCursor(items[0], field, "prev") : null,
+    };
+};
+
+export default {
+    encodeCursor,
+    decodeCursor,
+    findPageByCursor,
+};
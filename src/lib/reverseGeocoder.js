@@ -0,0 +1,134 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { haversineDistance } from "./geoUtils.js";
+import logger from "./logger.js";
+
+const DEFAULT_GAZETTEER_PATH = fileURLToPath(new URL("../data/cities.tsv", import.meta.url));
+
+// Beyond this the nearest place is too far away to name the city the item was in
+const CITY_MAX_DISTANCE_KM = parseFloat(process.env.GEOCODER_CITY_MAX_DISTANCE_KM) || 50;
+// Beyond this the nearest place is not trusted for the region and country either, e.g. at sea
+const REGION_MAX_DISTANCE_KM = parseFloat(process.env.GEOCODER_REGION_MAX_DISTANCE_KM) || 250;
+
+const KM_PER_DEGREE = 111.32;
+
+const countryNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+let gazetteer = null;
+
+// Places are bucketed into cells of one degree so lookups only scan the cells around a coordinate
+const cellKey = (latCell, lngCell) => `${latCell}:${lngCell}`;
+
+/**
+ * Load the gazetteer: one place per line with tab-separated name, region, country code, latitude and longitude.
+ * Empty lines and lines starting with # are ignored.
+ */
+const loadGazetteer = () => {
+    const path = process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH;
+    const cells = new Map();
+    let count = 0;
+
+    for (const line of fs.readFileSync(path, "utf8").split(/\r?\n/)) {
+        if (!line.trim() || line.startsWith("#")) continue;
+
+        const [name, region, countryCode, latValue, lngValue] = line.split("\t");
+        const lat = parseFloat(latValue);
+        const lng = parseFloat(lngValue);
+
+        if (!name || !countryCode || !Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+
+        const key = cellKey(Math.floor(lat), Math.floor(lng));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push({ name, region: region || null, countryCode: countryCode.toUpperCase(), lat, lng });
+        count++;
+    }
+
+    logger.info(`Loaded ${count} gazetteer places from ${path}`);
+
+    return cells;
+};
+
+const getGazetteer = () => {
+    if (!gazetteer) {
+        try {
+            gazetteer = loadGazetteer();
+        } catch (error) {
+            logger.error("Error loading gazetteer:", error);
+            gazetteer = new Map();
+        }
+    }
+
+    return gazetteer;
+};
+
+/**
+ * Whether the gazetteer has any places, so that empty results mean "nowhere known" rather than "not loaded"
+ */
+export const isGazetteerLoaded = () => getGazetteer().size > 0;
+
+/**
+ * Find the gazetteer place closest to a coordinate, looking no further than a distance
+ * @returns {{place: Object, distance: number} | null} The place and its distance in kilometers
+ */
+const findNearestPlace = (lat, lng, maxDistance) => {
+    const cells = getGazetteer();
+    const latCells = Math.ceil(maxDistance / KM_PER_DEGREE);
+    // Longitude degrees shrink towards the poles, so more cells are needed to cover the same distance
+    const cosLat = Math.cos((Math.min(89, Math.abs(lat) + latCells) * Math.PI) / 180);
+    const lngCells = Math.min(180, Math.ceil(maxDistance / (KM_PER_DEGREE * cosLat)));
+
+    const latCell = Math.floor(lat);
+    const lngCell = Math.floor(lng);
+    let nearest = null;
+
+    for (let dLat = -latCells; dLat <= latCells; dLat++) {
+        for (let dLng = -lngCells; dLng <= lngCells; dLng++) {
+            // Wrap around the antimeridian
+            const column = ((((lngCell + dLng + 180) % 360) + 360) % 360) - 180;
+
+            for (const place of cells.get(cellKey(latCell + dLat, column)) || []) {
+                const distance = haversineDistance({ lat, lng }, place);
+                if (distance <= maxDistance && (!nearest || distance < nearest.distance)) {
+                    nearest = { place, distance };
+                }
+            }
+        }
+    }
+
+    return nearest;
+};
+
+const countryName = (countryCode) => {
+    try {
+        return countryNames.of(countryCode) || countryCode;
+    } catch {
+        return countryCode;
+    }
+};
+
+/**
+ * Resolve coordinates to the city, region and country they are in using the bundled offline gazetteer.
+ * The nearest place names the city when it is close enough, and its region and country otherwise.
+ * @returns {{city: string|null, region: string|null, country: string|null, countryCode: string|null}}
+ */
+export const reverseGeocode = (lat, lng) => {
+    const nearest = findNearestPlace(lat, lng, REGION_MAX_DISTANCE_KM);
+
+    if (!nearest) {
+        return { city: null, region: null, country: null, countryCode: null };
+    }
+
+    const { place, distance } = nearest;
+
+    return {
+        city: distance <= CITY_MAX_DISTANCE_KM ? place.name : null,
+        region: place.region,
+        country: countryName(place.countryCode),
+        countryCode: place.countryCode,
+    };
+};
+
+export default {
+    reverseGeocode,
+    isGazetteerLoaded,
+};
@@ -1,4 +1,15 @@
-import { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    ListPartsCommand,
+} from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { v4 as uuidv4 } from "uuid";
 import logger from "./logger.js";
@@ -132,6 +143,37 @@ export const getPresignedUrl = async (key, expiresIn = 3600) => {
     }
 };
 
+/**
+ * Build an attachment Content-Disposition header.
+ * Non-ASCII names are only allowed in the RFC 5987 filename*, so older clients get a plain fallback.
+ */
+const attachmentDisposition = (fileName) => {
+    const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+    const encodedName = encodeURIComponent(fileName).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+};
+
+/**
+ * Generate a presigned URL that makes browsers download an object under the given file name
+ * @param {string} [contentType] - Overrides the stored content type of the object
+ */
+export const getPresignedDownloadUrl = async (key, fileName, contentType, expiresIn = 3600) => {
+    try {
+        const command = new GetObjectCommand({
+            Bucket: bucketName,
+            Key: key,
+            ResponseContentDisposition: attachmentDisposition(fileName),
+            ...(contentType && { ResponseContentType: contentType }),
+        });
+
+        return await getSignedUrl(s3Client, command, { expiresIn });
+    } catch (error) {
+        logger.error(`Error generating presigned download URL for: ${key}`, error);
+        throw error;
+    }
+};
+
 export const replaceWithPresignedUrls = async (item) => {
     if (!item) return null;
 
@@ -148,6 +190,27 @@ export const replaceWithPresignedUrls = async (item) => {
             result.thumbnail = await getPresignedUrl(thumbnailKey);
         }
 
+        const originalKey = extractKeyFromUri(item.original);
+        if (originalKey) {
+            result.original = await getPresignedUrl(originalKey);
+        }
+
+        const previewKey = extractKeyFromUri(item.preview);
+        if (previewKey) {
+            result.preview = await getPresignedUrl(previewKey);
+        }
+
+        const peaksKey = extractKeyFromUri(item.peaks);
+        if (peaksKey) {
+            result.peaks = await getPresignedUrl(peaksKey);
+        }
+
+        if (Array.isArray(result.renditions)) {
+            result.renditions = await Promise.all(
+                result.renditions.map(async (rendition) => ({ ...rendition, uri: await getPresignedUrl(extractKeyFromUri(rendition.uri)) }))
+            );
+        }
+
         // Handle face detections and their associated persons with profile pictures
         if (result.face && Array.isArray(result.face)) {
             for (let i = 0; i < result.face.length; i++) {
@@ -221,13 +284,209 @@ export const uploadImageWithFormatProcessing = async (buffer, originalName, fold
     }
 };
 
+export const getObjectUrl = (key) => `${process.env.AWS_S3_ENDPOINT}/${bucketName}/${key}`;
+
+export const getBucketName = () => bucketName;
+
+/**
+ * Get object metadata, or null when the object does not exist
+ */
+export const headObject = async (key) => {
+    try {
+        const command = new HeadObjectCommand({
+            Bucket: bucketName,
+            Key: key,
+        });
+
+        return await s3Client.send(command);
+    } catch (error) {
+        if (error.name === "NotFound" || error.$metadata?.httpStatusCode === 404) {
+            return null;
+        }
+        logger.error(`Error getting object metadata from S3: ${key}`, error);
+        throw error;
+    }
+};
+
+export const downloadBuffer = async (key) => {
+    try {
+        const command = new GetObjectCommand({
+            Bucket: bucketName,
+            Key: key,
+        });
+
+        const response = await s3Client.send(command);
+        return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+        logger.error(`Error downloading object from S3: ${key}`, error);
+        throw error;
+    }
+};
+
+export const getPresignedUploadUrl = async (key, contentType, expiresIn = 3600) => {
+    try {
+        const command = new PutObjectCommand({
+            Bucket: bucketName,
+            Key: key,
+            ContentType: contentType,
+        });
+
+        return await getSignedUrl(s3Client, command, { expiresIn });
+    } catch (error) {
+        logger.error(`Error generating presigned upload URL for: ${key}`, error);
+        throw error;
+    }
+};
+
+export const createMultipartUpload = async (key, contentType) => {
+    try {
+        const command = new CreateMultipartUploadCommand({
+            Bucket: bucketName,
+            Key: key,
+            ContentType: contentType,
+        });
+
+        const response = await s3Client.send(command);
+        return response.UploadId;
+    } catch (error) {
+        logger.error(`Error creating multipart upload for: ${key}`, error);
+        throw error;
+    }
+};
+
+export const getPresignedPartUrl = async (key, uploadId, partNumber, expiresIn = 3600) => {
+    try {
+        const command = new UploadPartCommand({
+            Bucket: bucketName,
+            Key: key,
+            UploadId: uploadId,
+            PartNumber: partNumber,
+        });
+
+        return await getSignedUrl(s3Client, command, { expiresIn });
+    } catch (error) {
+        logger.error(`Error generating presigned part URL for: ${key} part ${partNumber}`, error);
+        throw error;
+    }
+};
+
+export const uploadPart = async (key, uploadId, partNumber, buffer) => {
+    try {
+        const command = new UploadPartCommand({
+            Bucket: bucketName,
+            Key: key,
+            UploadId: uploadId,
+            PartNumber: partNumber,
+            Body: buffer,
+        });
+
+        const response = await s3Client.send(command);
+
+        return {
+            partNumber,
+            etag: response.ETag,
+            size: buffer.length,
+        };
+    } catch (error) {
+        logger.error(`Error uploading part ${partNumber} for: ${key}`, error);
+        throw error;
+    }
+};
+
+/**
+ * List every part received so far for a multipart upload
+ * @returns {Promise<Array<{partNumber: number, etag: string, size: number}>>}
+ */
+export const listParts = async (key, uploadId) => {
+    try {
+        const parts = [];
+        let partNumberMarker;
+
+        do {
+            const command = new ListPartsCommand({
+                Bucket: bucketName,
+                Key: key,
+                UploadId: uploadId,
+                PartNumberMarker: partNumberMarker,
+            });
+
+            const response = await s3Client.send(command);
+
+            for (const part of response.Parts || []) {
+                parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size });
+            }
+
+            partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+        } while (partNumberMarker);
+
+        return parts;
+    } catch (error) {
+        logger.error(`Error listing parts for: ${key}`, error);
+        throw error;
+    }
+};
+
+/**
+ * Complete a multipart upload
+ * @param {Array<{partNumber: number, etag: string}>} parts
+ */
+export const completeMultipartUpload = async (key, uploadId, parts) => {
+    try {
+        const command = new CompleteMultipartUploadCommand({
+            Bucket: bucketName,
+            Key: key,
+            UploadId: uploadId,
+            MultipartUpload: {
+                Parts: [...parts].sort((a, b) => a.partNumber - b.partNumber).map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })),
+            },
+        });
+
+        return await s3Client.send(command);
+    } catch (error) {
+        logger.error(`Error completing multipart upload for: ${key}`, error);
+        throw error;
+    }
+};
+
+export const abortMultipartUpload = async (key, uploadId) => {
+    try {
+        const command = new AbortMultipartUploadCommand({
+            Bucket: bucketName,
+            Key: key,
+            UploadId: uploadId,
+        });
+
+        await s3Client.send(command);
+
+        return {
+            success: true,
+            key,
+        };
+    } catch (error) {
+        logger.error(`Error aborting multipart upload for: ${key}`, error);
+        throw error;
+    }
+};
+
 export default {
     uploadFile,
     uploadBuffer,
     deleteFile,
     getPresignedUrl,
     extractKeyFromUri,
+    getPresignedDownloadUrl,
     replaceWithPresignedUrls,
     getObjectByUri,
     uploadImageWithFormatProcessing,
+    getObjectUrl,
+    getBucketName,
+    headObject,
+    downloadBuffer,
+    getPresignedUploadUrl,
+    createMultipartUpload,
+    getPresignedPartUrl,
+    uploadPart,
+    listParts,
+    completeMultipartUpload,
+    abortMultipartUpload,
 };
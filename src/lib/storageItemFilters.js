@@ -0,0 +1,28 @@
+import { Prisma } from "@prisma/client";
+
+/**
+ * Build the raw SQL conditions selecting a user's storage items, aliased `si`, with the type, source, date and person
+ * filters of the storage list. Trashed items are always left out.
+ * @param {string} userId - The user ID
+ * @param {Object} filters - Optional `type`, `source`, `startDate`/`endDate` (on the capture time) and `personId`
+ * @returns {Prisma.Sql[]} The conditions, to combine with `Prisma.join(conditions, " AND ")`
+ */
+export const buildStorageItemFilters = (userId, { type, source, startDate, endDate, personId } = {}) => {
+    const conditions = [Prisma.sql`si."userId" = ${userId}`, Prisma.sql`si."deletedAt" IS NULL`];
+
+    if (type) conditions.push(Prisma.sql`si."type"::text = ${type}`);
+    if (source) conditions.push(Prisma.sql`si."source"::text = ${source}`);
+    if (startDate) conditions.push(Prisma.sql`si."capturedAt" >= ${new Date(startDate)}`);
+    if (endDate) conditions.push(Prisma.sql`si."capturedAt" <= ${new Date(endDate)}`);
+    if (personId) {
+        conditions.push(
+            Prisma.sql`EXISTS (SELECT 1 FROM "person_storage_items" psi WHERE psi."storageItemId" = si."id" AND psi."personId" = ${personId})`
+        );
+    }
+
+    return conditions;
+};
+
+export default {
+    buildStorageItemFilters,
+};
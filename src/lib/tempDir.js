@@ -0,0 +1,20 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+/**
+ * Run a function with a temporary directory that is removed afterwards
+ */
+export const withTempDir = async (fn) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chronos-media-"));
+
+    try {
+        return await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true }).catch(() => null);
+    }
+};
+
+export default {
+    withTempDir,
+};
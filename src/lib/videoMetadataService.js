@@ -0,0 +1,67 @@
+import logger from "./logger.js";
+
+// Seconds between the MP4/QuickTime epoch (1904-01-01) and the Unix epoch
+const MP4_EPOCH_OFFSET = 2082844800;
+
+/**
+ * Find a box of the given type among the boxes between start and end of an ISO BMFF (MP4/MOV) buffer
+ * @returns {{start: number, end: number}|null} The byte range of the box content
+ */
+const findBox = (buffer, type, start, end) => {
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const boxType = buffer.toString("latin1", offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (offset + 16 > end) return null;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+
+        if (size < headerSize) return null;
+
+        if (boxType === type) {
+            return { start: offset + headerSize, end: Math.min(offset + size, end) };
+        }
+
+        offset += size;
+    }
+
+    return null;
+};
+
+/**
+ * Read the creation time recorded in the movie header of an MP4/MOV file
+ * @returns {Date|null} The creation time, or null when the file has none
+ */
+export const extractVideoCreationTime = (buffer) => {
+    try {
+        const moov = findBox(buffer, "moov", 0, buffer.length);
+        if (!moov) return null;
+
+        const mvhd = findBox(buffer, "mvhd", moov.start, moov.end);
+        if (!mvhd || mvhd.end - mvhd.start < 12) return null;
+
+        // Version 1 headers use 64-bit timestamps
+        const version = buffer.readUInt8(mvhd.start);
+        const seconds = version === 1 ? Number(buffer.readBigUInt64BE(mvhd.start + 4)) : buffer.readUInt32BE(mvhd.start + 4);
+
+        // Zero means the encoder did not record a time
+        if (seconds === 0) return null;
+
+        const date = new Date((seconds - MP4_EPOCH_OFFSET) * 1000);
+        return Number.isNaN(date.getTime()) || date.getUTCFullYear() < 1970 ? null : date;
+    } catch (error) {
+        logger.error("Error reading video creation time:", error);
+        return null;
+    }
+};
+
+export default {
+    extractVideoCreationTime,
+};
@@ -0,0 +1,153 @@
+import fs from "fs/promises";
+import path from "path";
+import logger from "./logger.js";
+import { FFMPEG_PATH, inputArgs, run, probe, withInputPath, toNumber } from "./ffmpeg.js";
+
+const PREVIEW_SECONDS = parseFloat(process.env.VIDEO_PREVIEW_SECONDS) || 3;
+
+const POSTER_MAX_WIDTH = 1280;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_FPS = 12;
+
+const parseFrameRate = (value) => {
+    const [numerator, denominator = 1] = String(value || "")
+        .split("/")
+        .map(Number);
+    const rate = numerator / denominator;
+    return Number.isFinite(rate) && rate > 0 ? Math.round(rate * 100) / 100 : null;
+};
+
+/**
+ * Parse the creation_time tag of a container or stream, ignoring the zero times some encoders write
+ */
+const parseCreationTime = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) || date.getTime() <= 0 ? null : date;
+};
+
+/**
+ * Read the duration, resolution, codecs and recording time of a video with ffprobe.
+ * Width and height are the displayed dimensions, swapped for videos recorded in portrait with a rotation flag.
+ * @param {string} input - A file path or an HTTP(S) URL
+ * @returns {Promise<Object|null>} The video metadata, or null when the file has no video stream
+ */
+export const probeVideo = async (input) => {
+    const { streams, format } = await probe(input);
+
+    const video = streams.find((stream) => stream.codec_type === "video" && !stream.disposition?.attached_pic);
+    if (!video) return null;
+
+    const audio = streams.find((stream) => stream.codec_type === "audio");
+    const rotation = toNumber(video.side_data_list?.find((data) => data.rotation !== undefined)?.rotation ?? video.tags?.rotate) || 0;
+    const isPortrait = Math.abs(rotation) % 180 === 90;
+
+    return {
+        duration: toNumber(format.duration ?? video.duration),
+        width: isPortrait ? video.height : video.width,
+        height: isPortrait ? video.width : video.height,
+        rotation,
+        codec: video.codec_name || null,
+        frameRate: parseFrameRate(video.avg_frame_rate || video.r_frame_rate),
+        bitRate: toNumber(format.bit_rate),
+        audioCodec: audio?.codec_name || null,
+        container: format.format_name || null,
+        capturedAt: parseCreationTime(format.tags?.creation_time ?? video.tags?.creation_time),
+    };
+};
+
+/**
+ * Extract a JPEG poster frame, one second in or halfway through shorter videos
+ */
+const extractPosterFrame = async (input, duration, dir) => {
+    const output = path.join(dir, "poster.jpg");
+    const offset = duration ? Math.min(1, duration / 2) : 0;
+
+    await run(FFMPEG_PATH, [
+        "-v",
+        "error",
+        "-ss",
+        String(offset),
+        ...inputArgs(input),
+        "-frames:v",
+        "1",
+        "-vf",
+        `scale='min(${POSTER_MAX_WIDTH},iw)':-2`,
+        "-q:v",
+        "3",
+        "-y",
+        output,
+    ]);
+
+    return fs.readFile(output);
+};
+
+/**
+ * Encode a short, silent, looping MP4 preview from around the first tenth of the video
+ */
+const encodeAnimatedPreview = async (input, duration, dir) => {
+    const output = path.join(dir, "preview.mp4");
+    const offset = duration && duration > PREVIEW_SECONDS * 2 ? duration / 10 : 0;
+
+    await run(FFMPEG_PATH, [
+        "-v",
+        "error",
+        "-ss",
+        String(offset),
+        "-t",
+        String(PREVIEW_SECONDS),
+        ...inputArgs(input),
+        "-an",
+        "-vf",
+        `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2`,
+        "-c:v",
+        "libx264",
+        "-preset",
+        "veryfast",
+        "-crf",
+        "28",
+        "-pix_fmt",
+        "yuv420p",
+        "-movflags",
+        "+faststart",
+        "-y",
+        output,
+    ]);
+
+    return fs.readFile(output);
+};
+
+/**
+ * Probe a video and render its poster frame and animated preview with the local ffmpeg binary.
+ * Each step fails on its own: a video ffmpeg cannot decode still gets the metadata ffprobe could read.
+ * @param {Buffer|string} input - The video content, or an HTTP(S) URL ffmpeg can read it from
+ * @returns {Promise<{metadata: Object|null, poster: Buffer|null, preview: Buffer|null}>}
+ */
+export const processVideo = async (input) =>
+    withInputPath(input, async (source, dir) => {
+        const metadata = await probeVideo(source).catch((error) => {
+            logger.warn(`Could not probe video: ${error.message}`);
+            return null;
+        });
+
+        if (!metadata) {
+            return { metadata: null, poster: null, preview: null };
+        }
+
+        const poster = await extractPosterFrame(source, metadata.duration, dir).catch((error) => {
+            logger.warn(`Could not extract video poster frame: ${error.message}`);
+            return null;
+        });
+
+        const preview = await encodeAnimatedPreview(source, metadata.duration, dir).catch((error) => {
+            logger.warn(`Could not encode video preview: ${error.message}`);
+            return null;
+        });
+
+        return { metadata, poster, preview };
+    });
+
+export default {
+    probeVideo,
+    processVideo,
+};
@@ -0,0 +1,354 @@
+import {
+    createChronicle,
+    getChronicleById,
+    getChronicles,
+    updateChronicle,
+    deleteChronicle,
+    addStorageItemsToChronicle,
+    removeStorageItemsFromChronicle,
+    reorderChronicleItems,
+    updateChronicleItem,
+} from "./chronicle.service.js";
+import { suggestChronicles, confirmChronicleSuggestions } from "./chronicleSuggestion.service.js";
+import { successResponse, NotFoundError, BadRequestError, isValidDate } from "../../lib/helpers.js";
+import logger from "../../lib/logger.js";
+
+const validateChronicleFields = (data) => {
+    const { title, tags, startDate, endDate, body } = data;
+
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+        throw new BadRequestError("Title must be a non-empty string");
+    }
+
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string"))) {
+        throw new BadRequestError("Tags must be an array of strings");
+    }
+
+    if (startDate && !isValidDate(startDate)) {
+        throw new BadRequestError("Invalid startDate");
+    }
+
+    if (endDate && !isValidDate(endDate)) {
+        throw new BadRequestError("Invalid endDate");
+    }
+
+    if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+        throw new BadRequestError("startDate must be before endDate");
+    }
+
+    if (body !== undefined && (body === null || typeof body !== "object")) {
+        throw new BadRequestError("Body must be a JSON object or array");
+    }
+};
+
+const parseStorageItemIds = (storageItemIds) => {
+    if (!Array.isArray(storageItemIds) || storageItemIds.length === 0) {
+        throw new BadRequestError("storageItemIds must be a non-empty array");
+    }
+
+    return storageItemIds;
+};
+
+/**
+ * Create a new chronicle
+ */
+export const createNewChronicle = async (req, res, next) => {
+    try {
+        const { title, description, tags, startDate, endDate, body } = req.body;
+
+        if (!title) {
+            throw new BadRequestError("Chronicle title is required");
+        }
+
+        validateChronicleFields(req.body);
+
+        const chronicle = await createChronicle(req.user.id, { title, description, tags, startDate, endDate, body });
+
+        return res.status(201).json(successResponse("Chronicle created successfully", { chronicle }, 201));
+    } catch (error) {
+        logger.error("Error creating chronicle:", error);
+        next(error);
+    }
+};
+
+/**
+ * Get a chronicle with its storage items
+ */
+export const getChronicle = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const chronicle = await getChronicleById(id, req.user.id);
+
+        if (!chronicle) {
+            throw new NotFoundError(`Chronicle with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Chronicle retrieved successfully", { chronicle }));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get all chronicles with optional filtering
+ */
+export const getAllChronicles = async (req, res, next) => {
+    try {
+        const { page, limit, tags, startDate, endDate, keyword } = req.query;
+
+        if (startDate && !isValidDate(startDate)) {
+            throw new BadRequestError("Invalid startDate");
+        }
+
+        if (endDate && !isValidDate(endDate)) {
+            throw new BadRequestError("Invalid endDate");
+        }
+
+        const result = await getChronicles(req.user.id, {
+            page: page ? parseInt(page) : undefined,
+            limit: limit ? parseInt(limit) : undefined,
+            tags: tags ? tags.split(",").map((tag) => tag.trim()).filter(Boolean) : undefined,
+            startDate,
+            endDate,
+            keyword,
+        });
+
+        return res.status(200).json(successResponse("Chronicles retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving chronicles:", error);
+        next(error);
+    }
+};
+
+/**
+ * Update a chronicle
+ */
+export const editChronicle = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { title, description, tags, startDate, endDate, body } = req.body;
+
+        validateChronicleFields(req.body);
+
+        const chronicle = await updateChronicle(id, req.user.id, { title, description, tags, startDate, endDate, body });
+
+        if (!chronicle) {
+            throw new NotFoundError(`Chronicle with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Chronicle updated successfully", { chronicle }));
+    } catch (error) {
+        logger.error(`Error updating chronicle ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+/**
+ * Delete a chronicle
+ */
+export const removeChronicle = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const result = await deleteChronicle(id, req.user.id);
+
+        if (!result.success) {
+            throw new NotFoundError(`Chronicle with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Chronicle moved to trash"));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Attach storage items to a chronicle
+ */
+export const attachChronicleItems = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { items } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new BadRequestError("items must be a non-empty array");
+        }
+
+        for (const item of items) {
+            if (!item || !item.storageId) {
+                throw new BadRequestError("Each item requires a storageId");
+            }
+            if (item.order !== undefined && !Number.isInteger(item.order)) {
+                throw new BadRequestError("Item order must be an integer");
+            }
+        }
+
+        const chronicle = await addStorageItemsToChronicle(id, req.user.id, items);
+
+        if (!chronicle) {
+            throw new NotFoundError(`Chronicle with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Storage items attached successfully", { chronicle }));
+    } catch (error) {
+        logger.error(`Error attaching items to chronicle ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+/**
+ * Detach storage items from a chronicle
+ */
+export const detachChronicleItems = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const storageItemIds = parseStorageItemIds(req.body.storageItemIds);
+
+        const chronicle = await removeStorageItemsFromChronicle(id, req.user.id, storageItemIds);
+
+        if (!chronicle) {
+            throw new NotFoundError(`Chronicle with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Storage items detached successfully", { chronicle }));
+    } catch (error) {
+        logger.error(`Error detaching items from chronicle ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+/**
+ * Reorder the storage items of a chronicle
+ */
+export const reorderItems = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const storageItemIds = parseStorageItemIds(req.body.storageItemIds);
+
+        const chronicle = await reorderChronicleItems(id, req.user.id, storageItemIds);
+
+        if (!chronicle) {
+            throw new NotFoundError(`Chronicle with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Chronicle items reordered successfully", { chronicle }));
+    } catch (error) {
+        logger.error(`Error reordering items of chronicle ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+/**
+ * Update the notes or order of a single chronicle item
+ */
+export const editChronicleItem = async (req, res, next) => {
+    try {
+        const { id, storageId } = req.params;
+        const { notes, order } = req.body;
+
+        if (notes !== undefined && notes !== null && typeof notes !== "string") {
+            throw new BadRequestError("Notes must be a string");
+        }
+
+        if (order !== undefined && order !== null && !Number.isInteger(order)) {
+            throw new BadRequestError("Order must be an integer");
+        }
+
+        const item = await updateChronicleItem(id, storageId, req.user.id, { notes, order });
+
+        if (!item) {
+            throw new NotFoundError(`Storage item ${storageId} is not attached to chronicle ${id}`);
+        }
+
+        return res.status(200).json(successResponse("Chronicle item updated successfully", { item }));
+    } catch (error) {
+        logger.error(`Error updating item of chronicle ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+const parsePositiveNumber = (value, name) => {
+    if (value === undefined) return undefined;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new BadRequestError(`${name} must be a positive number`);
+    }
+
+    return number;
+};
+
+/**
+ * Preview chronicles generated by clustering the user's storage items
+ */
+export const suggestNewChronicles = async (req, res, next) => {
+    try {
+        const { startDate, endDate, timeGapHours, maxDistanceKm, minItems, excludeAttached } = req.body || {};
+
+        if (startDate && !isValidDate(startDate)) {
+            throw new BadRequestError("Invalid startDate");
+        }
+
+        if (endDate && !isValidDate(endDate)) {
+            throw new BadRequestError("Invalid endDate");
+        }
+
+        const result = await suggestChronicles(req.user.id, {
+            startDate,
+            endDate,
+            timeGapHours: parsePositiveNumber(timeGapHours, "timeGapHours"),
+            maxDistanceKm: parsePositiveNumber(maxDistanceKm, "maxDistanceKm"),
+            minItems: parsePositiveNumber(minItems, "minItems"),
+            excludeAttached: excludeAttached === undefined ? undefined : excludeAttached !== false,
+        });
+
+        return res.status(200).json(successResponse("Chronicle suggestions generated successfully", result));
+    } catch (error) {
+        logger.error("Error suggesting chronicles:", error);
+        next(error);
+    }
+};
+
+/**
+ * Persist selected chronicle suggestions
+ */
+export const confirmSuggestedChronicles = async (req, res, next) => {
+    try {
+        const { suggestions } = req.body;
+
+        if (!Array.isArray(suggestions) || suggestions.length === 0) {
+            throw new BadRequestError("suggestions must be a non-empty array");
+        }
+
+        for (const suggestion of suggestions) {
+            if (!suggestion || !suggestion.title) {
+                throw new BadRequestError("Each suggestion requires a title");
+            }
+
+            validateChronicleFields(suggestion);
+            parseStorageItemIds(suggestion.storageItemIds);
+        }
+
+        const chronicles = await confirmChronicleSuggestions(req.user.id, suggestions);
+
+        return res.status(201).json(successResponse("Chronicles created successfully", { chronicles }, 201));
+    } catch (error) {
+        logger.error("Error confirming chronicle suggestions:", error);
+        next(error);
+    }
+};
+
+export default {
+    createNewChronicle,
+    getChronicle,
+    getAllChronicles,
+    editChronicle,
+    removeChronicle,
+    attachChronicleItems,
+    detachChronicleItems,
+    reorderItems,
+    editChronicleItem,
+    suggestNewChronicles,
+    confirmSuggestedChronicles,
+};
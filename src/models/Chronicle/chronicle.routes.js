@@ -0,0 +1,36 @@
+import express from "express";
+import {
+    createNewChronicle,
+    getChronicle,
+    getAllChronicles,
+    editChronicle,
+    removeChronicle,
+    attachChronicleItems,
+    detachChronicleItems,
+    reorderItems,
+    editChronicleItem,
+    suggestNewChronicles,
+    confirmSuggestedChronicles,
+} from "./chronicle.controller.js";
+import { authenticate } from "../../lib/middleware/authenticate.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.post("/suggest", suggestNewChronicles);
+router.post("/suggest/confirm", confirmSuggestedChronicles);
+
+router.get("/", getAllChronicles);
+router.get("/:id", getChronicle);
+
+router.post("/", createNewChronicle);
+router.patch("/:id", editChronicle);
+router.delete("/:id", removeChronicle);
+
+router.post("/:id/items", attachChronicleItems);
+router.delete("/:id/items", detachChronicleItems);
+router.put("/:id/items/order", reorderItems);
+router.patch("/:id/items/:storageId", editChronicleItem);
+
+export default router;
@@ -0,0 +1,427 @@
+import prisma from "../../lib/prisma.js";
+import logger from "../../lib/logger.js";
+import { replaceWithPresignedUrls } from "../../lib/s3Service.js";
+import { BadRequestError } from "../../lib/helpers.js";
+
+const storageRefsInclude = {
+    where: {
+        storage: { deletedAt: null },
+    },
+    orderBy: [
+        { order: { sort: "asc", nulls: "last" } },
+        { storage: { capturedAt: { sort: "asc", nulls: "last" } } },
+        { storage: { createdAt: "asc" } },
+    ],
+    include: {
+        storage: true,
+    },
+};
+
+/**
+ * Replace the URIs of every attached storage item with presigned URLs
+ */
+const withPresignedStorage = async (chronicle) => {
+    if (!chronicle || !Array.isArray(chronicle.storageRefs)) return chronicle;
+
+    const storageRefs = await Promise.all(
+        chronicle.storageRefs.map(async (ref) => ({
+            ...ref,
+            storage: await replaceWithPresignedUrls(ref.storage),
+        }))
+    );
+
+    return { ...chronicle, storageRefs };
+};
+
+/**
+ * Make sure every storage item exists and belongs to the user
+ */
+const assertStorageItemsOwned = async (storageItemIds, userId) => {
+    const ownedItems = await prisma.storageItem.findMany({
+        where: {
+            id: { in: storageItemIds },
+            userId,
+            deletedAt: null,
+        },
+        select: { id: true },
+    });
+
+    const ownedIds = new Set(ownedItems.map((item) => item.id));
+    const missingIds = storageItemIds.filter((id) => !ownedIds.has(id));
+
+    if (missingIds.length > 0) {
+        throw new BadRequestError(`Storage items not found: ${missingIds.join(", ")}`);
+    }
+};
+
+/**
+ * Create a new chronicle for a user
+ */
+export const createChronicle = async (userId, data) => {
+    try {
+        const { title, description, tags = [], startDate, endDate, body = {} } = data;
+
+        const chronicle = await prisma.chronicle.create({
+            data: {
+                title,
+                description,
+                tags,
+                startDate: startDate ? new Date(startDate) : null,
+                endDate: endDate ? new Date(endDate) : null,
+                body,
+                userId,
+            },
+        });
+
+        return chronicle;
+    } catch (error) {
+        logger.error("Error creating chronicle:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get a chronicle by ID with its attached storage items
+ */
+export const getChronicleById = async (id, userId) => {
+    try {
+        const chronicle = await prisma.chronicle.findFirst({
+            where: { id, userId, deletedAt: null },
+            include: {
+                storageRefs: storageRefsInclude,
+            },
+        });
+
+        if (!chronicle) return null;
+
+        return await withPresignedStorage(chronicle);
+    } catch (error) {
+        logger.error(`Error getting chronicle ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Get all chronicles of a user, with optional filtering
+ */
+export const getChronicles = async (userId, options = {}) => {
+    try {
+        const { page = 1, limit = 20, tags, startDate, endDate, keyword } = options;
+
+        const skip = (page - 1) * limit;
+
+        const where = { userId, deletedAt: null };
+        const conditions = [];
+
+        if (tags && tags.length > 0) {
+            where.tags = { hasSome: tags };
+        }
+
+        // Match chronicles whose date range overlaps the requested range
+        if (startDate) {
+            conditions.push({
+                OR: [{ endDate: { gte: new Date(startDate) } }, { endDate: null, startDate: { gte: new Date(startDate) } }],
+            });
+        }
+
+        if (endDate) {
+            conditions.push({ startDate: { lte: new Date(endDate) } });
+        }
+
+        if (keyword) {
+            conditions.push({
+                OR: [{ title: { contains: keyword, mode: "insensitive" } }, { description: { contains: keyword, mode: "insensitive" } }],
+            });
+        }
+
+        if (conditions.length > 0) {
+            where.AND = conditions;
+        }
+
+        const totalCount = await prisma.chronicle.count({ where });
+
+        const chronicles = await prisma.chronicle.findMany({
+            where,
+            skip,
+            take: limit,
+            orderBy: [{ startDate: { sort: "desc", nulls: "last" } }, { createdAt: "desc" }],
+            include: {
+                _count: {
+                    select: {
+                        storageRefs: {
+                            where: { storage: { deletedAt: null } },
+                        },
+                    },
+                },
+            },
+        });
+
+        return {
+            chronicles,
+            metadata: {
+                page,
+                limit,
+                totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+            },
+        };
+    } catch (error) {
+        logger.error("Error getting chronicles:", error);
+        throw error;
+    }
+};
+
+/**
+ * Update the fields of a chronicle
+ */
+export const updateChronicle = async (id, userId, data) => {
+    try {
+        const existing = await prisma.chronicle.findFirst({
+            where: { id, userId, deletedAt: null },
+            select: { id: true },
+        });
+
+        if (!existing) return null;
+
+        const { title, description, tags, startDate, endDate, body } = data;
+        const updateData = {};
+
+        if (title !== undefined) updateData.title = title;
+        if (description !== undefined) updateData.description = description;
+        if (tags !== undefined) updateData.tags = tags;
+        if (startDate !== undefined) updateData.startDate = startDate ? new Date(startDate) : null;
+        if (endDate !== undefined) updateData.endDate = endDate ? new Date(endDate) : null;
+        if (body !== undefined) updateData.body = body;
+
+        await prisma.chronicle.update({
+            where: { id },
+            data: updateData,
+        });
+
+        return await getChronicleById(id, userId);
+    } catch (error) {
+        logger.error(`Error updating chronicle ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Move a chronicle to the trash. Attached storage items are kept.
+ */
+export const deleteChronicle = async (id, userId) => {
+    try {
+        const chronicle = await prisma.chronicle.findFirst({
+            where: { id, userId, deletedAt: null },
+            select: { id: true },
+        });
+
+        if (!chronicle) {
+            return { success: false, message: "Chronicle not found" };
+        }
+
+        await prisma.chronicle.update({
+            where: { id },
+            data: { deletedAt: new Date() },
+        });
+
+        return { success: true, message: "Chronicle moved to trash" };
+    } catch (error) {
+        logger.error(`Error deleting chronicle ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Attach storage items to a chronicle. Items without an explicit order are appended.
+ * @param {Array<{storageId: string, order?: number, notes?: string}>} items
+ */
+export const addStorageItemsToChronicle = async (chronicleId, userId, items) => {
+    try {
+        const chronicle = await prisma.chronicle.findFirst({
+            where: { id: chronicleId, userId, deletedAt: null },
+            select: { id: true },
+        });
+
+        if (!chronicle) return null;
+
+        await assertStorageItemsOwned(
+            items.map((item) => item.storageId),
+            userId
+        );
+
+        const { _max } = await prisma.chronicleStorage.aggregate({
+            where: { chronicleId },
+            _max: { order: true },
+        });
+
+        let nextOrder = _max.order === null ? 0 : _max.order + 1;
+
+        await prisma.$transaction(
+            items.map((item) => {
+                const order = item.order !== undefined ? item.order : nextOrder++;
+
+                return prisma.chronicleStorage.upsert({
+                    where: {
+                        chronicleId_storageId: {
+                            chronicleId,
+                            storageId: item.storageId,
+                        },
+                    },
+                    update: {
+                        ...(item.order !== undefined && { order: item.order }),
+                        ...(item.notes !== undefined && { notes: item.notes }),
+                    },
+                    create: {
+                        chronicleId,
+                        storageId: item.storageId,
+                        order,
+                        notes: item.notes,
+                    },
+                });
+            })
+        );
+
+        return await getChronicleById(chronicleId, userId);
+    } catch (error) {
+        logger.error(`Error adding storage items to chronicle ${chronicleId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Detach storage items from a chronicle
+ */
+export const removeStorageItemsFromChronicle = async (chronicleId, userId, storageItemIds) => {
+    try {
+        const chronicle = await prisma.chronicle.findFirst({
+            where: { id: chronicleId, userId, deletedAt: null },
+            select: { id: true },
+        });
+
+        if (!chronicle) return null;
+
+        await prisma.chronicleStorage.deleteMany({
+            where: {
+                chronicleId,
+                storageId: {
+                    in: storageItemIds,
+                },
+            },
+        });
+
+        return await getChronicleById(chronicleId, userId);
+    } catch (error) {
+        logger.error(`Error removing storage items from chronicle ${chronicleId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Reorder the items of a chronicle. The position in the list becomes the new order.
+ * Items left out of the list keep their relative order and move after the listed ones.
+ */
+export const reorderChronicleItems = async (chronicleId, userId, storageItemIds) => {
+    try {
+        const chronicle = await prisma.chronicle.findFirst({
+            where: { id: chronicleId, userId, deletedAt: null },
+            include: {
+                storageRefs: {
+                    select: { storageId: true },
+                    orderBy: storageRefsInclude.orderBy,
+                },
+            },
+        });
+
+        if (!chronicle) return null;
+
+        const duplicateIds = [...new Set(storageItemIds.filter((id, index) => storageItemIds.indexOf(id) !== index))];
+
+        if (duplicateIds.length > 0) {
+            throw new BadRequestError(`Storage items listed more than once: ${duplicateIds.join(", ")}`);
+        }
+
+        const attachedIds = new Set(chronicle.storageRefs.map((ref) => ref.storageId));
+        const unknownIds = storageItemIds.filter((id) => !attachedIds.has(id));
+
+        if (unknownIds.length > 0) {
+            throw new BadRequestError(`Storage items not attached to this chronicle: ${unknownIds.join(", ")}`);
+        }
+
+        const listedIds = new Set(storageItemIds);
+        const unlistedIds = chronicle.storageRefs.map((ref) => ref.storageId).filter((id) => !listedIds.has(id));
+
+        await prisma.$transaction(
+            [...storageItemIds, ...unlistedIds].map((storageId, index) =>
+                prisma.chronicleStorage.update({
+                    where: {
+                        chronicleId_storageId: {
+                            chronicleId,
+                            storageId,
+                        },
+                    },
+                    data: { order: index },
+                })
+            )
+        );
+
+        return await getChronicleById(chronicleId, userId);
+    } catch (error) {
+        logger.error(`Error reordering items of chronicle ${chronicleId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Update the notes or order of a single attached storage item
+ */
+export const updateChronicleItem = async (chronicleId, storageId, userId, data) => {
+    try {
+        const ref = await prisma.chronicleStorage.findFirst({
+            where: {
+                chronicleId,
+                storageId,
+                chronicle: { userId, deletedAt: null },
+            },
+        });
+
+        if (!ref) return null;
+
+        const { notes, order } = data;
+
+        const updated = await prisma.chronicleStorage.update({
+            where: {
+                chronicleId_storageId: {
+                    chronicleId,
+                    storageId,
+                },
+            },
+            data: {
+                ...(notes !== undefined && { notes }),
+                ...(order !== undefined && { order }),
+            },
+            include: {
+                storage: true,
+            },
+        });
+
+        return {
+            ...updated,
+            storage: await replaceWithPresignedUrls(updated.storage),
+        };
+    } catch (error) {
+        logger.error(`Error updating item ${storageId} of chronicle ${chronicleId}:`, error);
+        throw error;
+    }
+};
+
+export default {
+    createChronicle,
+    getChronicleById,
+    getChronicles,
+    updateChronicle,
+    deleteChronicle,
+    addStorageItemsToChronicle,
+    removeStorageItemsFromChronicle,
+    reorderChronicleItems,
+    updateChronicleItem,
+};
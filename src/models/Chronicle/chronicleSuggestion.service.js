@@ -0,0 +1,324 @@
+import prisma from "../../lib/prisma.js";
+import logger from "../../lib/logger.js";
+import { replaceWithPresignedUrls } from "../../lib/s3Service.js";
+import { haversineDistance } from "../../lib/geoUtils.js";
+import { BadRequestError } from "../../lib/helpers.js";
+import { timelineOrder } from "../StorageItem/storageItem.service.js";
+
+const DEFAULT_OPTIONS = {
+    timeGapHours: 6,
+    maxDistanceKm: 50,
+    minItems: 3,
+    maxItems: 5000,
+    previewCount: 4,
+    excludeAttached: true,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const resolveOptions = (options) => ({
+    ...DEFAULT_OPTIONS,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)),
+});
+
+const dateFormatter = new Intl.DateTimeFormat("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+const dayFormatter = new Intl.DateTimeFormat("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+
+/**
+ * Format a date range like "Jun 3, 2023", "Jun 3 – Jun 5, 2023" or "Dec 30, 2022 – Jan 2, 2023"
+ */
+const formatDateRange = (start, end) => {
+    const sameDay = start.toISOString().slice(0, 10) === end.toISOString().slice(0, 10);
+    if (sameDay) {
+        return dateFormatter.format(start);
+    }
+
+    if (start.getUTCFullYear() === end.getUTCFullYear()) {
+        return `${dayFormatter.format(start)} – ${dateFormatter.format(end)}`;
+    }
+
+    return `${dateFormatter.format(start)} – ${dateFormatter.format(end)}`;
+};
+
+/**
+ * Return the most frequent values of a counter map, most frequent first
+ */
+const topValues = (counts, limit) =>
+    [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([value]) => value);
+
+const timelineDate = (item) => item.capturedAt || item.createdAt;
+
+const toClusterItem = (item) => {
+    const { geoMeta } = item;
+
+    return {
+        item,
+        time: timelineDate(item).getTime(),
+        coordinates: geoMeta ? { lat: geoMeta.lat, lng: geoMeta.lng } : null,
+        place: geoMeta?.place || geoMeta?.city || null,
+        personIds: item.people.map((link) => link.personId),
+    };
+};
+
+const createCluster = (entry) => ({
+    entries: [entry],
+    lastTime: entry.time,
+    centroid: entry.coordinates ? { ...entry.coordinates } : null,
+    locatedCount: entry.coordinates ? 1 : 0,
+    personIds: new Set(entry.personIds),
+});
+
+const addToCluster = (cluster, entry) => {
+    cluster.entries.push(entry);
+    cluster.lastTime = entry.time;
+    entry.personIds.forEach((id) => cluster.personIds.add(id));
+
+    if (entry.coordinates) {
+        const count = cluster.locatedCount + 1;
+        cluster.centroid = cluster.centroid
+            ? {
+                  lat: cluster.centroid.lat + (entry.coordinates.lat - cluster.centroid.lat) / count,
+                  lng: cluster.centroid.lng + (entry.coordinates.lng - cluster.centroid.lng) / count,
+              }
+            : { ...entry.coordinates };
+        cluster.locatedCount = count;
+    }
+};
+
+/**
+ * Decide whether an item continues the current cluster.
+ *
+ * Items closer in time than the gap threshold stay together unless they were taken far away
+ * from the cluster. Items up to twice the gap apart are still joined when they share a person
+ * with the cluster, so a long day out with the same people isn't split in two.
+ */
+const belongsToCluster = (cluster, entry, { timeGapHours, maxDistanceKm }) => {
+    const gap = entry.time - cluster.lastTime;
+    const gapLimit = timeGapHours * HOUR_MS;
+
+    if (entry.coordinates && cluster.centroid && haversineDistance(entry.coordinates, cluster.centroid) > maxDistanceKm) {
+        return false;
+    }
+
+    if (gap <= gapLimit) {
+        return true;
+    }
+
+    return gap <= gapLimit * 2 && entry.personIds.some((id) => cluster.personIds.has(id));
+};
+
+/**
+ * Group time-sorted items into clusters
+ */
+export const clusterStorageItems = (items, options = {}) => {
+    const settings = resolveOptions(options);
+    const clusters = [];
+    let current = null;
+
+    for (const item of items) {
+        const entry = toClusterItem(item);
+
+        if (current && belongsToCluster(current, entry, settings)) {
+            addToCluster(current, entry);
+        } else {
+            current = createCluster(entry);
+            clusters.push(current);
+        }
+    }
+
+    return clusters.filter((cluster) => cluster.entries.length >= settings.minItems);
+};
+
+/**
+ * Build the title, date range and tags of a suggested chronicle from a cluster
+ */
+const describeCluster = (cluster, peopleById) => {
+    const startDate = new Date(cluster.entries[0].time);
+    const endDate = new Date(cluster.lastTime);
+
+    const placeCounts = new Map();
+    const personCounts = new Map();
+
+    for (const entry of cluster.entries) {
+        if (entry.place) {
+            placeCounts.set(entry.place, (placeCounts.get(entry.place) || 0) + 1);
+        }
+        for (const personId of entry.personIds) {
+            personCounts.set(personId, (personCounts.get(personId) || 0) + 1);
+        }
+    }
+
+    const places = topValues(placeCounts, 3);
+    const people = topValues(personCounts, 5)
+        .map((id) => peopleById.get(id))
+        .filter(Boolean);
+    const namedPeople = people.filter((person) => person.name);
+
+    let subject = "Moments";
+    if (places.length > 0) {
+        subject = places[0];
+    } else if (namedPeople.length > 0) {
+        subject = `With ${namedPeople
+            .slice(0, 2)
+            .map((person) => person.name)
+            .join(" & ")}`;
+    }
+
+    return {
+        title: `${subject} · ${formatDateRange(startDate, endDate)}`,
+        startDate,
+        endDate,
+        tags: [...places, ...namedPeople.map((person) => person.name)],
+        location: cluster.centroid ? { ...cluster.centroid, place: places[0] || null } : null,
+        people: people.map((person) => ({ id: person.id, name: person.name })),
+    };
+};
+
+/**
+ * Group a user's storage items into candidate chronicles by time gaps, location and shared people
+ */
+export const suggestChronicles = async (userId, options = {}) => {
+    try {
+        const settings = resolveOptions(options);
+        const { startDate, endDate, excludeAttached, maxItems, previewCount } = settings;
+
+        const where = { userId, deletedAt: null };
+
+        if (startDate || endDate) {
+            where.capturedAt = {};
+            if (startDate) where.capturedAt.gte = new Date(startDate);
+            if (endDate) where.capturedAt.lte = new Date(endDate);
+        }
+
+        if (excludeAttached) {
+            where.chronicleRefs = { none: { chronicle: { deletedAt: null } } };
+        }
+
+        // The most recent items are kept when there are more than maxItems, then clustered oldest first
+        const recentItems = await prisma.storageItem.findMany({
+            where,
+            take: maxItems,
+            orderBy: timelineOrder("desc"),
+            include: {
+                geoMeta: true,
+                people: {
+                    select: { personId: true },
+                },
+            },
+        });
+
+        const items = recentItems.sort((a, b) => timelineDate(a) - timelineDate(b));
+        const clusters = clusterStorageItems(items, settings);
+
+        const personIds = [...new Set(clusters.flatMap((cluster) => [...cluster.personIds]))];
+        const people = personIds.length
+            ? await prisma.person.findMany({
+                  where: { id: { in: personIds } },
+                  select: { id: true, name: true },
+              })
+            : [];
+        const peopleById = new Map(people.map((person) => [person.id, person]));
+
+        const suggestions = await Promise.all(
+            clusters.map(async (cluster) => {
+                const clusterItems = cluster.entries.map((entry) => entry.item);
+                const preview = await Promise.all(
+                    clusterItems.slice(0, previewCount).map((item) => replaceWithPresignedUrls(item))
+                );
+
+                return {
+                    ...describeCluster(cluster, peopleById),
+                    itemCount: clusterItems.length,
+                    storageItemIds: clusterItems.map((item) => item.id),
+                    preview,
+                };
+            })
+        );
+
+        return {
+            suggestions,
+            metadata: {
+                scannedItems: items.length,
+                truncated: items.length === maxItems,
+            },
+        };
+    } catch (error) {
+        logger.error("Error suggesting chronicles:", error);
+        throw error;
+    }
+};
+
+/**
+ * Persist confirmed suggestions as chronicles with their storage items attached in time order
+ * @param {Array<{title: string, description?: string, tags?: string[], storageItemIds: string[], startDate?: string, endDate?: string}>} suggestions
+ */
+export const confirmChronicleSuggestions = async (userId, suggestions) => {
+    try {
+        const requestedIds = [...new Set(suggestions.flatMap((suggestion) => suggestion.storageItemIds))];
+
+        const items = await prisma.storageItem.findMany({
+            where: {
+                id: { in: requestedIds },
+                userId,
+                deletedAt: null,
+            },
+            select: { id: true, createdAt: true, capturedAt: true },
+        });
+
+        const itemsById = new Map(items.map((item) => [item.id, item]));
+        const missingIds = requestedIds.filter((id) => !itemsById.has(id));
+
+        if (missingIds.length > 0) {
+            throw new BadRequestError(`Storage items not found: ${missingIds.join(", ")}`);
+        }
+
+        const chronicles = await prisma.$transaction(
+            suggestions.map((suggestion) => {
+                const suggestionItems = [...new Set(suggestion.storageItemIds)]
+                    .map((id) => itemsById.get(id))
+                    .sort((a, b) => timelineDate(a) - timelineDate(b));
+
+                return prisma.chronicle.create({
+                    data: {
+                        title: suggestion.title,
+                        description: suggestion.description,
+                        tags: suggestion.tags || [],
+                        startDate: suggestion.startDate ? new Date(suggestion.startDate) : timelineDate(suggestionItems[0]),
+                        endDate: suggestion.endDate ? new Date(suggestion.endDate) : timelineDate(suggestionItems[suggestionItems.length - 1]),
+                        body: {
+                            generated: true,
+                        },
+                        userId,
+                        storageRefs: {
+                            create: suggestionItems.map((item, index) => ({
+                                storageId: item.id,
+                                order: index,
+                            })),
+                        },
+                    },
+                    include: {
+                        _count: {
+                            select: { storageRefs: true },
+                        },
+                    },
+                });
+            })
+        );
+
+        logger.info(`Created ${chronicles.length} chronicles from suggestions for user ${userId}`);
+
+        return chronicles;
+    } catch (error) {
+        logger.error("Error confirming chronicle suggestions:", error);
+        throw error;
+    }
+};
+
+export default {
+    clusterStorageItems,
+    suggestChronicles,
+    confirmChronicleSuggestions,
+};
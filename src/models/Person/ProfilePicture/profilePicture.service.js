@@ -32,6 +32,7 @@ export const getProfilePictures = async (userId) => {
         const profilePictures = await prisma.profilePicture.findMany({
             where: {
                 person: {
+                    deletedAt: null,
                     face: {
                         some: {
                             userId: userId,
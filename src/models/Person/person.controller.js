@@ -58,12 +58,13 @@ export const getPersonDetails = async (req, res, next) => {
  */
 export const getAllPeople = async (req, res, next) => {
     try {
-        const { page, limit, name, includeDetections } = req.query;
+        const { page, limit, cursor, name, includeDetections } = req.query;
         const userId = req.user.id;
 
         const result = await getPeople(userId, {
             page: page ? parseInt(page) : undefined,
             limit: limit ? parseInt(limit) : undefined,
+            cursor,
             name,
             includeDetections: includeDetections === 'true'
         });
@@ -106,7 +107,7 @@ export const removePerson = async (req, res, next) => {
             return res.status(400).json(errorResponse(result.message, 400));
         }
 
-        return res.status(200).json(successResponse("Person deleted successfully"));
+        return res.status(200).json(successResponse(result.message));
     } catch (error) {
         next(error);
     }
@@ -118,12 +119,13 @@ export const removePerson = async (req, res, next) => {
 export const getPersonStorage = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { page, limit, type } = req.query;
+        const { page, limit, cursor, type } = req.query;
         const userId = req.user.id;
 
         const result = await getPersonStorageItems(id, userId, {
             page: page ? parseInt(page) : undefined,
             limit: limit ? parseInt(limit) : undefined,
+            cursor,
             type
         });
 
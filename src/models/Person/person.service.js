@@ -1,6 +1,8 @@
 import prisma from "../../lib/prisma.js";
 import logger from "../../lib/logger.js";
 import { createProfilePicture } from "./ProfilePicture/profilePicture.service.js";
+import { timelineOrder } from "../StorageItem/storageItem.service.js";
+import { findPageByCursor } from "../../lib/pagination.js";
 
 export const createPerson = async (name, gender, age, type = "PERSON", profileS3Key, profileS3Url) => {
     try {
@@ -33,6 +35,7 @@ export const getPersonById = async (id, userId, includeDetections = false) => {
         const person = await prisma.person.findFirst({
             where: { 
                 id,
+                deletedAt: null,
                 storageItems: {
                     some: {
                         userId
@@ -42,6 +45,11 @@ export const getPersonById = async (id, userId, includeDetections = false) => {
             include: {
                 profilePicture: includeDetections,
                 face: includeDetections ? {
+                    where: {
+                        storageItem: {
+                            deletedAt: null
+                        }
+                    },
                     include: {
                         storageItem: true
                     }
@@ -49,7 +57,10 @@ export const getPersonById = async (id, userId, includeDetections = false) => {
                 socialProfiles: includeDetections,
                 storageItems: includeDetections ? {
                     where: {
-                        userId
+                        userId,
+                        storageItem: {
+                            deletedAt: null
+                        }
                     },
                     include: {
                         storageItem: true
@@ -66,11 +77,12 @@ export const getPersonById = async (id, userId, includeDetections = false) => {
 };
 
 /**
- * Get all people, with optional filtering
+ * Get all people, with optional filtering.
+ * Passing a `cursor` (an empty string for the first page) switches from page/limit to cursor pagination.
  */
 export const getPeople = async (userId, options = {}) => {
     try {
-        const { page = 1, limit = 20, name, includeDetections = false } = options;
+        const { page = 1, limit = 20, cursor, name, includeDetections = false } = options;
 
         if (!userId) {
             throw new Error("userId is required to get people");
@@ -78,6 +90,7 @@ export const getPeople = async (userId, options = {}) => {
 
         const skip = (page - 1) * limit;
         const where = {
+            deletedAt: null,
             storageItems: {
                 some: {
                     userId
@@ -91,6 +104,50 @@ export const getPeople = async (userId, options = {}) => {
             ];
         }
 
+        const include = {
+            profilePicture: true,
+            face: includeDetections ? {
+                where: {
+                    storageItem: {
+                        deletedAt: null
+                    }
+                },
+                include: {
+                    storageItem: true
+                },
+                take: 5 // Limit to 5 most recent detections for efficiency
+            } : false,
+            socialProfiles: includeDetections,
+            storageItems: includeDetections ? {
+                where: {
+                    userId,
+                    storageItem: {
+                        deletedAt: null
+                    }
+                },
+                include: {
+                    storageItem: true
+                },
+                take: 5 // Limit to 5 most recent items for efficiency
+            } : false
+        };
+
+        if (cursor !== undefined) {
+            const { items, nextCursor, prevCursor } = await findPageByCursor(prisma.person, {
+                where,
+                field: "name",
+                sort: "asc",
+                cursor,
+                limit,
+                include
+            });
+
+            return {
+                people: items,
+                metadata: { limit, nextCursor, prevCursor }
+            };
+        }
+
         const totalCount = await prisma.person.count({ where });
 
         const people = await prisma.person.findMany({
@@ -98,25 +155,7 @@ export const getPeople = async (userId, options = {}) => {
             skip,
             take: limit,
             orderBy: { name: "asc" },
-            include: {
-                profilePicture: true,
-                face: includeDetections ? {
-                    include: {
-                        storageItem: true
-                    },
-                    take: 5 // Limit to 5 most recent detections for efficiency
-                } : false,
-                socialProfiles: includeDetections,
-                storageItems: includeDetections ? {
-                    where: {
-                        userId
-                    },
-                    include: {
-                        storageItem: true
-                    },
-                    take: 5 // Limit to 5 most recent items for efficiency
-                } : false
-            }
+            include
         });
 
         return {
@@ -135,7 +174,7 @@ export const getPeople = async (userId, options = {}) => {
 };
 
 /**
- * Delete a person and all related data
+ * Move a person to the trash. People shared with other users only lose this user's associations.
  */
 export const deletePerson = async (id, userId) => {
     try {
@@ -147,6 +186,7 @@ export const deletePerson = async (id, userId) => {
         const person = await prisma.person.findFirst({
             where: {
                 id,
+                deletedAt: null,
                 storageItems: {
                     some: {
                         userId
@@ -159,6 +199,44 @@ export const deletePerson = async (id, userId) => {
             throw new Error(`Person with ID ${id} not found or doesn't belong to this user`);
         }
 
+        // Check if this person has associations with other users
+        const otherUserAssociations = await prisma.personStorageItem.findFirst({
+            where: {
+                personId: id,
+                NOT: {
+                    userId
+                }
+            }
+        });
+
+        if (otherUserAssociations) {
+            // Delete person-storage item associations for this user
+            await prisma.personStorageItem.deleteMany({
+                where: { 
+                    personId: id,
+                    userId 
+                }
+            });
+            return { success: true, message: "Person associations removed for this user" };
+        }
+
+        await prisma.person.update({
+            where: { id },
+            data: { deletedAt: new Date() }
+        });
+
+        return { success: true, message: "Person moved to trash" };
+    } catch (error) {
+        logger.error(`Error deleting person ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Permanently delete a person and all related data
+ */
+export const purgePerson = async (id) => {
+    try {
         // Delete all face detections for this person
         await prisma.face.deleteMany({
             where: { personId: id }
@@ -179,36 +257,18 @@ export const deletePerson = async (id, userId) => {
             }
         });
 
-        // Delete person-storage item associations for this user
+        // Delete all person-storage item associations
         await prisma.personStorageItem.deleteMany({
-            where: { 
-                personId: id,
-                userId 
-            }
+            where: { personId: id }
         });
 
-        // Check if this person has associations with other users
-        const otherUserAssociations = await prisma.personStorageItem.findFirst({
-            where: {
-                personId: id,
-                NOT: {
-                    userId
-                }
-            }
+        await prisma.person.delete({
+            where: { id }
         });
 
-        // Only delete the person if they're not associated with other users
-        if (!otherUserAssociations) {
-            // Delete the person
-            await prisma.person.delete({
-                where: { id }
-            });
-            return { success: true, message: "Person deleted successfully" };
-        }
-        
-        return { success: true, message: "Person associations removed for this user" };
+        return { success: true, message: "Person deleted permanently" };
     } catch (error) {
-        logger.error(`Error deleting person ${id}:`, error);
+        logger.error(`Error purging person ${id}:`, error);
         throw error;
     }
 };
@@ -305,11 +365,12 @@ export const removeStorageItemsFromPerson = async (personId, storageItemIds, use
 };
 
 /**
- * Get all storage items for a person
+ * Get all storage items for a person.
+ * Passing a `cursor` (an empty string for the first page) switches from page/limit to cursor pagination.
  */
 export const getPersonStorageItems = async (personId, userId, options = {}) => {
     try {
-        const { page = 1, limit = 20, type } = options;
+        const { page = 1, limit = 20, cursor, type } = options;
 
         if (!userId) {
             throw new Error("userId is required to get person's storage items");
@@ -333,20 +394,37 @@ export const getPersonStorageItems = async (personId, userId, options = {}) => {
         const where = { 
             id: {
                 in: storageItemIds
-            }
+            },
+            deletedAt: null
         };
 
         if (type) {
             where.type = type;
         }
 
+        if (cursor !== undefined) {
+            const { items, nextCursor, prevCursor } = await findPageByCursor(prisma.storageItem, {
+                where,
+                field: "capturedAt",
+                sort: "desc",
+                isDate: true,
+                cursor,
+                limit
+            });
+
+            return {
+                items,
+                metadata: { limit, nextCursor, prevCursor }
+            };
+        }
+
         const totalCount = await prisma.storageItem.count({ where });
 
         const storageItems = await prisma.storageItem.findMany({
             where,
             skip,
             take: limit,
-            orderBy: { createdAt: "desc" }
+            orderBy: timelineOrder("desc")
         });
 
         return {
@@ -369,6 +447,7 @@ export default {
     getPersonById,
     getPeople,
     deletePerson,
+    purgePerson,
     findOrCreatePerson,
     addStorageItemsToPerson,
     removeStorageItemsFromPerson,
@@ -0,0 +1,188 @@
+import {
+    createPlace,
+    getPlaceById,
+    getPlaces,
+    updatePlace,
+    deletePlace,
+    getVisitedPlaces,
+    PLACE_LEVELS,
+    MAX_PLACE_RADIUS_M,
+} from "./place.service.js";
+import { successResponse, NotFoundError, BadRequestError } from "../../lib/helpers.js";
+import { extractCoordinates } from "../../lib/geoUtils.js";
+import logger from "../../lib/logger.js";
+
+const parsePolygon = (polygon) => {
+    if (polygon === null) return null;
+
+    const points = Array.isArray(polygon) ? polygon.map(extractCoordinates) : [];
+    if (points.length < 3 || points.some((point) => !point)) {
+        throw new BadRequestError("Polygon must be an array of at least 3 points with lat and lng");
+    }
+
+    return points;
+};
+
+/**
+ * Validate the fields of a place. The name and center are required when creating one.
+ * @returns {Object} The place fields that were given, with the center as lat/lng
+ */
+const parsePlaceFields = (body, isCreate) => {
+    const { name, radius, polygon } = body;
+    const data = {};
+
+    if (isCreate || name !== undefined) {
+        if (typeof name !== "string" || !name.trim()) {
+            throw new BadRequestError("Place name must be a non-empty string");
+        }
+        data.name = name.trim();
+    }
+
+    const hasCenter = ["lat", "lng", "latitude", "longitude"].some((key) => body[key] !== undefined);
+    if (isCreate || hasCenter) {
+        const center = extractCoordinates(body);
+        if (!center) {
+            throw new BadRequestError("Place center (lat, lng) is required");
+        }
+        Object.assign(data, center);
+    }
+
+    if (radius !== undefined) {
+        if (typeof radius !== "number" || !(radius > 0) || radius > MAX_PLACE_RADIUS_M) {
+            throw new BadRequestError(`Radius must be a number of meters between 0 and ${MAX_PLACE_RADIUS_M}`);
+        }
+        data.radius = radius;
+    }
+
+    if (polygon !== undefined) {
+        data.polygon = parsePolygon(polygon);
+    }
+
+    return data;
+};
+
+/**
+ * Create a named place
+ */
+export const createNewPlace = async (req, res, next) => {
+    try {
+        const place = await createPlace(req.user.id, parsePlaceFields(req.body, true));
+
+        return res.status(201).json(successResponse("Place created successfully", { place }, 201));
+    } catch (error) {
+        logger.error("Error creating place:", error);
+        next(error);
+    }
+};
+
+/**
+ * Get a named place by ID
+ */
+export const getPlace = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const place = await getPlaceById(id, req.user.id);
+
+        if (!place) {
+            throw new NotFoundError(`Place with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Place retrieved successfully", { place }));
+    } catch (error) {
+        logger.error(`Error retrieving place ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+/**
+ * Get the user's named places
+ */
+export const getUserPlaces = async (req, res, next) => {
+    try {
+        const { page, limit, name } = req.query;
+
+        const result = await getPlaces(req.user.id, {
+            page: page ? parseInt(page) : undefined,
+            limit: limit ? parseInt(limit) : undefined,
+            name,
+        });
+
+        return res.status(200).json(successResponse("Named places retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving named places:", error);
+        next(error);
+    }
+};
+
+/**
+ * Update a named place
+ */
+export const editPlace = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const place = await updatePlace(id, req.user.id, parsePlaceFields(req.body, false));
+
+        if (!place) {
+            throw new NotFoundError(`Place with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Place updated successfully", { place }));
+    } catch (error) {
+        logger.error(`Error updating place ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+/**
+ * Delete a named place
+ */
+export const removePlace = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const result = await deletePlace(id, req.user.id);
+
+        if (!result.success) {
+            throw new NotFoundError(`Place with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse(result.message));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the cities, regions or countries the user has content from, with item counts
+ */
+export const getUserVisitedPlaces = async (req, res, next) => {
+    try {
+        const { level = "city", page, limit } = req.query;
+
+        if (!PLACE_LEVELS.includes(level)) {
+            throw new BadRequestError(`Invalid level. Must be one of: ${PLACE_LEVELS.join(", ")}`);
+        }
+
+        const result = await getVisitedPlaces(req.user.id, {
+            level,
+            page: page ? parseInt(page) : undefined,
+            limit: limit ? parseInt(limit) : undefined,
+        });
+
+        return res.status(200).json(successResponse("Places retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving places:", error);
+        next(error);
+    }
+};
+
+export default {
+    createNewPlace,
+    getPlace,
+    getUserPlaces,
+    editPlace,
+    removePlace,
+    getUserVisitedPlaces,
+};
@@ -0,0 +1,18 @@
+import express from "express";
+import { createNewPlace, getPlace, getUserPlaces, editPlace, removePlace, getUserVisitedPlaces } from "./place.controller.js";
+import { authenticate } from "../../lib/middleware/authenticate.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", getUserVisitedPlaces);
+
+router.get("/named", getUserPlaces);
+router.get("/named/:id", getPlace);
+
+router.post("/named", createNewPlace);
+router.patch("/named/:id", editPlace);
+router.delete("/named/:id", removePlace);
+
+export default router;
@@ -0,0 +1,307 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../../lib/prisma.js";
+import logger from "../../lib/logger.js";
+import { haversineDistance, circleBounds, polygonBounds, isPointInPolygon } from "../../lib/geoUtils.js";
+import { withinBoundsCondition } from "../StorageItem/GeoMeta/geoMeta.service.js";
+
+export const DEFAULT_PLACE_RADIUS_M = 200;
+export const MAX_PLACE_RADIUS_M = 50000;
+
+// Fields identifying a visited place at each level, from the broadest to the most specific
+const LEVEL_FIELDS = {
+    country: ["countryCode", "country"],
+    region: ["countryCode", "country", "region"],
+    city: ["countryCode", "country", "region", "city"],
+};
+
+export const PLACE_LEVELS = Object.keys(LEVEL_FIELDS);
+
+const itemCountInclude = {
+    _count: {
+        select: {
+            items: {
+                where: { storageItem: { deletedAt: null } },
+            },
+        },
+    },
+};
+
+/**
+ * Whether a location is inside a place: inside its polygon when it has one, within its radius of the center otherwise
+ */
+const isInsidePlace = (place, location) => {
+    if (Array.isArray(place.polygon)) {
+        return isPointInPolygon(location, place.polygon);
+    }
+
+    return haversineDistance(place, location) * 1000 <= place.radius;
+};
+
+/**
+ * Find the located items of a user that fall inside a place's center, radius and polygon.
+ * Trashed items are included too, so they keep their place when restored.
+ */
+const findPlaceItemIds = async (userId, place) => {
+    const bounds = Array.isArray(place.polygon) ? polygonBounds(place.polygon) : circleBounds(place.lat, place.lng, place.radius);
+
+    const candidates = await prisma.storageItem.findMany({
+        where: { userId, ...withinBoundsCondition(bounds) },
+        select: { id: true, geoMeta: { select: { lat: true, lng: true } } },
+    });
+
+    return candidates.filter((item) => isInsidePlace(place, item.geoMeta)).map((item) => item.id);
+};
+
+/**
+ * Nested write tagging a place on items, so that the place and its tags are saved in one transaction
+ */
+const createPlaceItems = (storageItemIds) => ({
+    createMany: {
+        data: storageItemIds.map((storageItemId) => ({ storageItemId })),
+        skipDuplicates: true,
+    },
+});
+
+/**
+ * Tag a storage item with every place of its user that contains its location, replacing the previous tags.
+ * Called whenever the location of an item is set or changes.
+ * @returns {Promise<string[]>} The IDs of the places containing the item
+ */
+export const assignStorageItemPlaces = async (storageItemId) => {
+    try {
+        const item = await prisma.storageItem.findUnique({
+            where: { id: storageItemId },
+            select: { userId: true, geoMeta: { select: { lat: true, lng: true } } },
+        });
+
+        if (!item) return [];
+
+        const places = item.geoMeta ? await prisma.place.findMany({ where: { userId: item.userId } }) : [];
+        const placeIds = places.filter((place) => isInsidePlace(place, item.geoMeta)).map((place) => place.id);
+
+        await prisma.$transaction([
+            prisma.placeStorageItem.deleteMany({ where: { storageItemId } }),
+            prisma.placeStorageItem.createMany({
+                data: placeIds.map((placeId) => ({ placeId, storageItemId })),
+                skipDuplicates: true,
+            }),
+        ]);
+
+        return placeIds;
+    } catch (error) {
+        logger.error(`Error assigning places to storage item ${storageItemId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Create a named place and tag the user's items inside it
+ * @param {Object} data - `name`, center `lat`/`lng`, `radius` in meters and an optional `polygon` of {lat, lng} vertices
+ */
+export const createPlace = async (userId, data) => {
+    try {
+        const { name, lat, lng, radius = DEFAULT_PLACE_RADIUS_M, polygon } = data;
+
+        const storageItemIds = await findPlaceItemIds(userId, { lat, lng, radius, polygon });
+
+        const place = await prisma.place.create({
+            data: {
+                name,
+                lat,
+                lng,
+                radius,
+                polygon: polygon || undefined,
+                userId,
+                items: createPlaceItems(storageItemIds),
+            },
+        });
+
+        return await getPlaceById(place.id, userId);
+    } catch (error) {
+        logger.error("Error creating place:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get a named place of the user with its number of items
+ */
+export const getPlaceById = async (id, userId) => {
+    try {
+        return await prisma.place.findFirst({
+            where: { id, userId },
+            include: itemCountInclude,
+        });
+    } catch (error) {
+        logger.error(`Error getting place ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Get the named places of a user, alphabetically
+ */
+export const getPlaces = async (userId, options = {}) => {
+    try {
+        const { page = 1, limit = 50, name } = options;
+
+        const skip = (page - 1) * limit;
+        const where = {
+            userId,
+            ...(name && { name: { contains: name, mode: "insensitive" } }),
+        };
+
+        const totalCount = await prisma.place.count({ where });
+
+        const places = await prisma.place.findMany({
+            where,
+            skip,
+            take: limit,
+            orderBy: [{ name: "asc" }, { createdAt: "asc" }],
+            include: itemCountInclude,
+        });
+
+        return {
+            places,
+            metadata: {
+                page,
+                limit,
+                totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+            },
+        };
+    } catch (error) {
+        logger.error("Error getting places:", error);
+        throw error;
+    }
+};
+
+/**
+ * Update a named place. Items are tagged again when its center, radius or polygon changes.
+ * A null polygon turns the place back into a circle.
+ */
+export const updatePlace = async (id, userId, data) => {
+    try {
+        const existing = await prisma.place.findFirst({
+            where: { id, userId },
+            select: { lat: true, lng: true, radius: true, polygon: true },
+        });
+
+        if (!existing) return null;
+
+        const { name, lat, lng, radius, polygon } = data;
+        const updateData = {};
+
+        if (name !== undefined) updateData.name = name;
+        if (lat !== undefined) updateData.lat = lat;
+        if (lng !== undefined) updateData.lng = lng;
+        if (radius !== undefined) updateData.radius = radius;
+        if (polygon !== undefined) updateData.polygon = polygon || Prisma.DbNull;
+
+        // The items are tagged again in the same update, replacing the previous tags
+        if ([lat, lng, radius, polygon].some((value) => value !== undefined)) {
+            const storageItemIds = await findPlaceItemIds(userId, {
+                lat: lat ?? existing.lat,
+                lng: lng ?? existing.lng,
+                radius: radius ?? existing.radius,
+                polygon: polygon === undefined ? existing.polygon : polygon,
+            });
+            updateData.items = { deleteMany: {}, ...createPlaceItems(storageItemIds) };
+        }
+
+        await prisma.place.update({
+            where: { id },
+            data: updateData,
+        });
+
+        return await getPlaceById(id, userId);
+    } catch (error) {
+        logger.error(`Error updating place ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Delete a named place. Its items are untagged, not deleted.
+ */
+export const deletePlace = async (id, userId) => {
+    try {
+        const place = await prisma.place.findFirst({
+            where: { id, userId },
+            select: { id: true },
+        });
+
+        if (!place) {
+            return { success: false, message: "Place not found" };
+        }
+
+        await prisma.place.delete({
+            where: { id },
+        });
+
+        return { success: true, message: "Place deleted successfully" };
+    } catch (error) {
+        logger.error(`Error deleting place ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * List the cities, regions or countries a user has content from, with the number of items in each, most items first.
+ * Places come from the reverse-geocoded locations of the user's items that are not in the trash.
+ * @param {Object} options - `level` (city, region or country, default city) and `page`/`limit`
+ */
+export const getVisitedPlaces = async (userId, options = {}) => {
+    try {
+        const { level = "city", page = 1, limit = 50 } = options;
+
+        const skip = (page - 1) * limit;
+        const fields = LEVEL_FIELDS[level];
+        const nameField = level === "country" ? "countryCode" : level;
+
+        const allPlaces = await prisma.geoMeta.groupBy({
+            by: fields,
+            where: {
+                [nameField]: { not: null },
+                storageItem: { userId, deletedAt: null },
+            },
+            _count: { _all: true },
+            _avg: { lat: true, lng: true },
+        });
+
+        allPlaces.sort((a, b) => b._count._all - a._count._all || String(a[nameField]).localeCompare(String(b[nameField])));
+
+        const places = allPlaces.slice(skip, skip + limit).map((place) => ({
+            ...Object.fromEntries(fields.map((field) => [field, place[field]])),
+            count: place._count._all,
+            center: { lat: place._avg.lat, lng: place._avg.lng },
+        }));
+
+        return {
+            level,
+            places,
+            metadata: {
+                page,
+                limit,
+                totalCount: allPlaces.length,
+                totalPages: Math.ceil(allPlaces.length / limit),
+            },
+        };
+    } catch (error) {
+        logger.error("Error getting visited places:", error);
+        throw error;
+    }
+};
+
+export default {
+    assignStorageItemPlaces,
+    createPlace,
+    getPlaceById,
+    getPlaces,
+    updatePlace,
+    deletePlace,
+    getVisitedPlaces,
+    PLACE_LEVELS,
+    DEFAULT_PLACE_RADIUS_M,
+    MAX_PLACE_RADIUS_M,
+};
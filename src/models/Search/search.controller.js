@@ -0,0 +1,42 @@
+import { searchStorageItems } from "./search.service.js";
+import { successResponse, BadRequestError, isValidDate } from "../../lib/helpers.js";
+import logger from "../../lib/logger.js";
+
+/**
+ * Full-text search across file names, OCR text, transcripts, labels and linked posts
+ */
+export const search = async (req, res, next) => {
+    try {
+        const { q, page, limit, type, startDate, endDate, personId } = req.query;
+
+        if (!q || !q.trim()) {
+            throw new BadRequestError("Search query (q) is required");
+        }
+
+        if (startDate && !isValidDate(startDate)) {
+            throw new BadRequestError("Invalid startDate");
+        }
+
+        if (endDate && !isValidDate(endDate)) {
+            throw new BadRequestError("Invalid endDate");
+        }
+
+        const result = await searchStorageItems(req.user.id, q.trim(), {
+            page: page ? parseInt(page) : undefined,
+            limit: limit ? parseInt(limit) : undefined,
+            type,
+            startDate,
+            endDate,
+            personId,
+        });
+
+        return res.status(200).json(successResponse("Search results retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error searching storage items:", error);
+        next(error);
+    }
+};
+
+export default {
+    search,
+};
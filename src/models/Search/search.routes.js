@@ -0,0 +1,11 @@
+import express from "express";
+import { search } from "./search.controller.js";
+import { authenticate } from "../../lib/middleware/authenticate.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", search);
+
+export default router;
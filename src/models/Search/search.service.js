@@ -0,0 +1,187 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../../lib/prisma.js";
+import logger from "../../lib/logger.js";
+import { replaceWithPresignedUrls } from "../../lib/s3Service.js";
+import { buildStorageItemFilters } from "../../lib/storageItemFilters.js";
+import "dotenv/config";
+
+// PostgreSQL text search configuration used to stem documents and queries
+const TEXT_CONFIG = process.env.SEARCH_TEXT_CONFIG || "english";
+
+// Payload keys holding searchable text in enrichment results
+const TEXT_KEYS = new Set(["text", "transcript", "name", "label", "labels", "keyword", "keywords", "customLabels", "place", "title", "description"]);
+// Payload keys repeating text already found elsewhere, like the lines and words of an OCR result
+const SKIPPED_KEYS = new Set(["blocks", "words", "boundingBox"]);
+
+// Labels and keywords describe the whole item and rank above free text
+const LABEL_TYPES = ["KEYWORD", "LABEL", "CUSTOM_LABEL"];
+
+// Control characters delimiting matches in snippets, replaced by <mark> tags once the rest of the snippet is escaped
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxFragments=2, MaxWords=20, MinWords=5`;
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/**
+ * Turn a headline of user content into safe HTML: everything is escaped except the <mark> tags around the matches
+ */
+const toSnippetHtml = (headline) =>
+    headline
+        ?.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char])
+        .replaceAll(MATCH_START, "<mark>")
+        .replaceAll(MATCH_END, "</mark>") ?? null;
+
+/**
+ * Collect the searchable strings of a MediaMeta payload
+ */
+const collectPayloadText = (value, key = null, depth = 0) => {
+    if (depth > 5 || value === null || value === undefined || SKIPPED_KEYS.has(key)) return [];
+
+    if (typeof value === "string") {
+        return key === null || TEXT_KEYS.has(key) ? [value] : [];
+    }
+
+    if (Array.isArray(value)) {
+        return value.flatMap((entry) => collectPayloadText(entry, TEXT_KEYS.has(key) ? null : key, depth + 1));
+    }
+
+    if (typeof value === "object") {
+        return Object.entries(value).flatMap(([entryKey, entry]) => collectPayloadText(entry, entryKey, depth + 1));
+    }
+
+    return [];
+};
+
+/**
+ * Rebuild the full-text search document of a storage item from its file name, the text of notes and events,
+ * MediaMeta text and linked social media posts
+ */
+export const refreshSearchDocument = async (storageItemId) => {
+    try {
+        const item = await prisma.storageItem.findUnique({
+            where: { id: storageItemId },
+            select: {
+                fileName: true,
+                mediaMeta: {
+                    select: { type: true, payload: true },
+                },
+                socialMetas: {
+                    select: {
+                        content: true,
+                        hashtags: { select: { tag: true } },
+                    },
+                },
+                content: {
+                    select: { body: true, location: true, attendees: true },
+                },
+                geoMeta: {
+                    select: { place: true, city: true, region: true, country: true },
+                },
+            },
+        });
+
+        if (!item) return null;
+
+        const labels = item.mediaMeta.filter((meta) => LABEL_TYPES.includes(meta.type)).flatMap((meta) => collectPayloadText(meta.payload));
+        const body = [
+            ...(item.content ? [item.content.body, item.content.location, ...item.content.attendees] : []),
+            ...(item.geoMeta ? [item.geoMeta.place, item.geoMeta.city, item.geoMeta.region, item.geoMeta.country] : []),
+            ...item.mediaMeta.filter((meta) => !LABEL_TYPES.includes(meta.type)).flatMap((meta) => collectPayloadText(meta.payload)),
+            ...item.socialMetas.flatMap((socialMeta) => [socialMeta.content, ...socialMeta.hashtags.map((hashtag) => hashtag.tag)]),
+        ];
+
+        const labelText = labels.join(" ");
+        const bodyText = body.filter(Boolean).join("\n");
+        const content = [item.fileName, labelText, bodyText].filter(Boolean).join("\n");
+
+        await prisma.$executeRaw`
+            INSERT INTO "search_documents" ("storageItemId", "content", "vector", "updatedAt")
+            VALUES (
+                ${storageItemId},
+                ${content},
+                setweight(to_tsvector(${TEXT_CONFIG}::regconfig, ${item.fileName}), 'A')
+                    || setweight(to_tsvector(${TEXT_CONFIG}::regconfig, ${labelText}), 'B')
+                    || setweight(to_tsvector(${TEXT_CONFIG}::regconfig, ${bodyText}), 'C'),
+                NOW()
+            )
+            ON CONFLICT ("storageItemId") DO UPDATE
+            SET "content" = EXCLUDED."content", "vector" = EXCLUDED."vector", "updatedAt" = EXCLUDED."updatedAt"`;
+
+        return { success: true };
+    } catch (error) {
+        logger.error(`Error refreshing search document of storage item ${storageItemId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Search a user's storage items by text, best matches first.
+ * The query supports web search syntax: "quoted phrases", OR and -excluded words.
+ * Each result includes its `rank` and a `snippet` of HTML-escaped text with the matches wrapped in <mark> tags.
+ */
+export const searchStorageItems = async (userId, query, options = {}) => {
+    try {
+        const { page = 1, limit = 20, ...filters } = options;
+
+        const skip = (page - 1) * limit;
+        const where = Prisma.join(buildStorageItemFilters(userId, filters), " AND ");
+        const tsQuery = Prisma.sql`websearch_to_tsquery(${TEXT_CONFIG}::regconfig, ${query})`;
+
+        const [{ count: totalCount }] = await prisma.$queryRaw`
+            SELECT COUNT(*)::int AS "count"
+            FROM "storage_items" si
+            JOIN "search_documents" sd ON sd."storageItemId" = si."id"
+            WHERE ${where} AND sd."vector" @@ ${tsQuery}`;
+
+        // Snippets are only built for the rows of the requested page
+        const matches = await prisma.$queryRaw`
+            SELECT
+                ranked."id",
+                ranked."rank",
+                ts_headline(${TEXT_CONFIG}::regconfig, ranked."content", ${tsQuery}, ${HEADLINE_OPTIONS}) AS "snippet"
+            FROM (
+                SELECT si."id", sd."content", ts_rank_cd(sd."vector", ${tsQuery}) AS "rank", si."capturedAt"
+                FROM "storage_items" si
+                JOIN "search_documents" sd ON sd."storageItemId" = si."id"
+                WHERE ${where} AND sd."vector" @@ ${tsQuery}
+                ORDER BY "rank" DESC, si."capturedAt" DESC NULLS LAST, si."id"
+                LIMIT ${limit} OFFSET ${skip}
+            ) ranked
+            ORDER BY ranked."rank" DESC, ranked."capturedAt" DESC NULLS LAST, ranked."id"`;
+
+        const items = await prisma.storageItem.findMany({
+            where: { id: { in: matches.map((match) => match.id) } },
+            include: { people: true },
+        });
+        const itemsById = new Map(items.map((item) => [item.id, item]));
+
+        const results = await Promise.all(
+            matches
+                .filter((match) => itemsById.has(match.id))
+                .map(async (match) => ({
+                    ...(await replaceWithPresignedUrls(itemsById.get(match.id))),
+                    rank: match.rank,
+                    snippet: toSnippetHtml(match.snippet),
+                }))
+        );
+
+        return {
+            items: results,
+            metadata: {
+                page,
+                limit,
+                totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+            },
+        };
+    } catch (error) {
+        logger.error("Error searching storage items:", error);
+        throw error;
+    }
+};
+
+export default {
+    refreshSearchDocument,
+    searchStorageItems,
+};
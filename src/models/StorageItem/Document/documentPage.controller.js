@@ -0,0 +1,32 @@
+import { getDocumentPage } from "./documentPage.service.js";
+import { successResponse, NotFoundError, BadRequestError } from "../../../lib/helpers.js";
+import logger from "../../../lib/logger.js";
+
+/**
+ * Get the preview image of a page of a document
+ */
+export const getStorageItemPage = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const pageNumber = Number(req.params.pageNumber);
+
+        if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+            throw new BadRequestError("Page number must be a positive integer");
+        }
+
+        const result = await getDocumentPage(id, req.user.id, pageNumber);
+
+        if (!result) {
+            throw new NotFoundError(`Storage item with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Document page retrieved successfully", result));
+    } catch (error) {
+        logger.error(`Error retrieving page ${req.params.pageNumber} of storage item ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+export default {
+    getStorageItemPage,
+};
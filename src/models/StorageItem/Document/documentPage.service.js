@@ -0,0 +1,55 @@
+import prisma from "../../../lib/prisma.js";
+import logger from "../../../lib/logger.js";
+import { extractKeyFromUri, getPresignedUrl } from "../../../lib/s3Service.js";
+import { BadRequestError, NotFoundError } from "../../../lib/helpers.js";
+
+/**
+ * Get the preview image of a document page with a presigned URL
+ * @param {number} pageNumber - The page number, starting at 1
+ * @returns {Promise<Object|null>} The page and the document's page counts, or null when the item is not found
+ */
+export const getDocumentPage = async (id, userId, pageNumber) => {
+    try {
+        const item = await prisma.storageItem.findFirst({
+            where: { id, userId, deletedAt: null },
+            select: {
+                type: true,
+                mediaMeta: { where: { type: "DOCUMENT" }, select: { payload: true } },
+                _count: { select: { pages: true } },
+            },
+        });
+
+        if (!item) return null;
+
+        if (item.type !== "DOCUMENT") {
+            throw new BadRequestError("Pages are only available for documents");
+        }
+
+        const page = await prisma.documentPage.findUnique({
+            where: { storageItemId_pageNumber: { storageItemId: id, pageNumber } },
+        });
+
+        if (!page) {
+            throw new NotFoundError(`Page ${pageNumber} of this document has no preview`);
+        }
+
+        return {
+            page: {
+                pageNumber: page.pageNumber,
+                width: page.width,
+                height: page.height,
+                url: await getPresignedUrl(extractKeyFromUri(page.uri)),
+            },
+            // Documents longer than DOCUMENT_PREVIEW_MAX_PAGES have more pages than previews
+            pageCount: item.mediaMeta[0]?.payload?.pageCount ?? item._count.pages,
+            previewPageCount: item._count.pages,
+        };
+    } catch (error) {
+        logger.error(`Error getting page ${pageNumber} of document ${id}:`, error);
+        throw error;
+    }
+};
+
+export default {
+    getDocumentPage,
+};
@@ -0,0 +1,104 @@
+import prisma from "../../../lib/prisma.js";
+import logger from "../../../lib/logger.js";
+import { extractCoordinates } from "../../../lib/geoUtils.js";
+import { reverseGeocode, isGazetteerLoaded } from "../../../lib/reverseGeocoder.js";
+
+// Location sources from least to most trusted
+const SOURCE_PRIORITY = ["ENRICHMENT", "EXIF", "MANUAL"];
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * City, region and country of a coordinate from the offline gazetteer.
+ * geocodedAt stays empty when the gazetteer could not be loaded, so the backfill can geocode the location later.
+ */
+export const geocodeFields = (lat, lng) => ({
+    ...reverseGeocode(lat, lng),
+    geocodedAt: isGazetteerLoaded() ? new Date() : null,
+});
+
+/**
+ * Normalize a location payload into GeoMeta fields, including its reverse-geocoded city, region and country.
+ * Accepts lat/lng or latitude/longitude keys, with optional altitude, accuracy and place name.
+ * @param {Object} payload - A GEO MediaMeta payload or the metadata of a LOCATION item
+ * @param {"MANUAL"|"EXIF"|"ENRICHMENT"} source - Where the location comes from
+ * @returns {Object|null} The GeoMeta fields, or null when the payload has no valid coordinates
+ */
+export const toGeoMetaData = (payload, source) => {
+    const coordinates = extractCoordinates(payload);
+    if (!coordinates) return null;
+
+    const place = typeof payload.place === "string" ? payload.place.trim() : "";
+
+    return {
+        ...coordinates,
+        altitude: toNumber(payload.altitude ?? payload.alt),
+        accuracy: toNumber(payload.accuracy),
+        place: place || null,
+        ...geocodeFields(coordinates.lat, coordinates.lng),
+        source,
+    };
+};
+
+/**
+ * Record the location of a storage item.
+ * Coordinates from a less trusted source never replace existing ones, but can fill in a missing place name.
+ * @returns {Promise<Object|null>} The item's GeoMeta, or null when the payload has no valid coordinates
+ */
+export const upsertGeoMeta = async (storageItemId, payload, source) => {
+    try {
+        const data = toGeoMetaData(payload, source);
+        if (!data) return null;
+
+        const existing = await prisma.geoMeta.findUnique({
+            where: { storageItemId },
+        });
+
+        if (!existing) {
+            return await prisma.geoMeta.create({
+                data: { ...data, storageItemId },
+            });
+        }
+
+        if (SOURCE_PRIORITY.indexOf(source) < SOURCE_PRIORITY.indexOf(existing.source)) {
+            if (existing.place || !data.place) return existing;
+
+            return await prisma.geoMeta.update({
+                where: { storageItemId },
+                data: { place: data.place },
+            });
+        }
+
+        return await prisma.geoMeta.update({
+            where: { storageItemId },
+            data: { ...data, place: data.place || existing.place },
+        });
+    } catch (error) {
+        logger.error(`Error saving location of storage item ${storageItemId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Prisma where clause selecting storage items located inside a bounding box
+ * @param {{west: number, south: number, east: number, north: number}} bounds - As returned by parseBoundingBox
+ */
+export const withinBoundsCondition = ({ west, south, east, north }) => ({
+    geoMeta: {
+        is: {
+            lat: { gte: south, lte: north },
+            // Boxes crossing the antimeridian wrap around from west to east
+            ...(west <= east ? { lng: { gte: west, lte: east } } : { OR: [{ lng: { gte: west } }, { lng: { lte: east } }] }),
+        },
+    },
+});
+
+export default {
+    geocodeFields,
+    toGeoMetaData,
+    upsertGeoMeta,
+    withinBoundsCondition,
+};
@@ -0,0 +1,120 @@
+import { getItemsNear, getItemClusters, MAX_RADIUS_M, MAX_ZOOM } from "./geoSearch.service.js";
+import { getStorageItems } from "../storageItem.service.js";
+import { successResponse, BadRequestError, isValidDate } from "../../../lib/helpers.js";
+import { parseBoundingBox } from "../../../lib/geoUtils.js";
+import logger from "../../../lib/logger.js";
+
+/**
+ * Read the type, source, date and person filters shared with the storage list
+ */
+const parseFilters = ({ type, source, startDate, endDate, personId }) => {
+    if (startDate && !isValidDate(startDate)) {
+        throw new BadRequestError("Invalid startDate");
+    }
+
+    if (endDate && !isValidDate(endDate)) {
+        throw new BadRequestError("Invalid endDate");
+    }
+
+    return { type, source, startDate, endDate, personId };
+};
+
+const parseCoordinate = (value, name, max) => {
+    const number = value === undefined || value === "" ? NaN : Number(value);
+
+    if (!Number.isFinite(number) || Math.abs(number) > max) {
+        throw new BadRequestError(`${name} must be a number between -${max} and ${max}`);
+    }
+
+    return number;
+};
+
+const parseBbox = (bbox) => {
+    const bounds = parseBoundingBox(bbox);
+
+    if (!bounds) {
+        throw new BadRequestError("bbox must be west,south,east,north in degrees, e.g. -9.23,38.69,-9.09,38.80");
+    }
+
+    return bounds;
+};
+
+/**
+ * Get the items within a radius of a point, closest first
+ */
+export const getStorageItemsNear = async (req, res, next) => {
+    try {
+        const { lat, lng, radius, page, limit } = req.query;
+
+        const radiusValue = radius === undefined ? undefined : Number(radius);
+        if (radiusValue !== undefined && (!Number.isFinite(radiusValue) || radiusValue <= 0 || radiusValue > MAX_RADIUS_M)) {
+            throw new BadRequestError(`radius must be a number of meters between 0 and ${MAX_RADIUS_M}`);
+        }
+
+        const result = await getItemsNear(req.user.id, parseCoordinate(lat, "lat", 90), parseCoordinate(lng, "lng", 180), {
+            ...parseFilters(req.query),
+            radius: radiusValue,
+            page: page ? parseInt(page) : undefined,
+            limit: limit ? parseInt(limit) : undefined,
+        });
+
+        return res.status(200).json(successResponse("Storage items retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving storage items near a point:", error);
+        next(error);
+    }
+};
+
+/**
+ * Get the items inside a bounding box, paginated like the storage list
+ */
+export const getStorageItemsWithin = async (req, res, next) => {
+    try {
+        const { bbox, page, limit, cursor } = req.query;
+
+        const result = await getStorageItems({
+            ...parseFilters(req.query),
+            userId: req.user.id,
+            bounds: parseBbox(bbox),
+            page: page ? parseInt(page) : undefined,
+            limit: limit ? parseInt(limit) : undefined,
+            cursor,
+        });
+
+        return res.status(200).json(successResponse("Storage items retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving storage items within a bounding box:", error);
+        next(error);
+    }
+};
+
+/**
+ * Get map clusters of the user's located items for a zoom level
+ */
+export const getStorageItemClusters = async (req, res, next) => {
+    try {
+        const { zoom, bbox } = req.query;
+
+        const zoomValue = zoom === undefined ? undefined : Number(zoom);
+        if (zoomValue !== undefined && (!Number.isInteger(zoomValue) || zoomValue < 0 || zoomValue > MAX_ZOOM)) {
+            throw new BadRequestError(`zoom must be an integer between 0 and ${MAX_ZOOM}`);
+        }
+
+        const result = await getItemClusters(req.user.id, {
+            ...parseFilters(req.query),
+            zoom: zoomValue,
+            bounds: bbox === undefined ? undefined : parseBbox(bbox),
+        });
+
+        return res.status(200).json(successResponse("Storage item clusters retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error clustering storage items:", error);
+        next(error);
+    }
+};
+
+export default {
+    getStorageItemsNear,
+    getStorageItemsWithin,
+    getStorageItemClusters,
+};
@@ -0,0 +1,166 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../../../lib/prisma.js";
+import logger from "../../../lib/logger.js";
+import { replaceWithPresignedUrls } from "../../../lib/s3Service.js";
+import { encodeGeohash, geohashCellSize, MAX_GEOHASH_PRECISION } from "../../../lib/geohash.js";
+import { circleBounds } from "../../../lib/geoUtils.js";
+import { buildStorageItemFilters } from "../../../lib/storageItemFilters.js";
+
+const EARTH_RADIUS_M = 6371000;
+
+export const MAX_RADIUS_M = 1000000;
+export const MAX_ZOOM = 22;
+// Cells beyond this are dropped, smallest first
+const MAX_CELLS = 1000;
+
+/**
+ * Geohash precision of the clusters at a map zoom level, giving a few cells per 256px map tile
+ */
+export const zoomToPrecision = (zoom) => Math.min(MAX_GEOHASH_PRECISION, Math.max(1, Math.ceil(zoom / 2)));
+
+const boundsFilter = ({ west, south, east, north }) => {
+    const lat = Prisma.sql`g."lat" BETWEEN ${south} AND ${north}`;
+
+    // Boxes crossing the antimeridian wrap around from west to east
+    return west <= east
+        ? Prisma.sql`${lat} AND g."lng" BETWEEN ${west} AND ${east}`
+        : Prisma.sql`${lat} AND (g."lng" >= ${west} OR g."lng" <= ${east})`;
+};
+
+/**
+ * Find a user's items within a radius of a point, closest first.
+ * Distances are computed with the haversine formula in plain PostgreSQL, no extension needed.
+ * @param {Object} options - `radius` in meters (default 1000), `page`/`limit` and the type, source, date and person filters of the storage list
+ */
+export const getItemsNear = async (userId, lat, lng, options = {}) => {
+    try {
+        const { radius = 1000, page = 1, limit = 20, ...filters } = options;
+
+        const skip = (page - 1) * limit;
+        const distance = Prisma.sql`
+            2 * ${EARTH_RADIUS_M} * asin(least(1, sqrt(
+                power(sin(radians(g."lat" - ${lat}) / 2), 2)
+                + cos(radians(${lat})) * cos(radians(g."lat")) * power(sin(radians(g."lng" - ${lng}) / 2), 2)
+            )))`;
+        const where = Prisma.join([...buildStorageItemFilters(userId, filters), boundsFilter(circleBounds(lat, lng, radius))], " AND ");
+
+        const located = Prisma.sql`
+            SELECT si."id", ${distance} AS "distance"
+            FROM "storage_items" si
+            JOIN "geo_meta" g ON g."storageItemId" = si."id"
+            WHERE ${where}`;
+
+        const [{ count: totalCount }] = await prisma.$queryRaw`
+            SELECT COUNT(*)::int AS "count" FROM (${located}) located WHERE "distance" <= ${radius}`;
+
+        const matches = await prisma.$queryRaw`
+            SELECT "id", "distance" FROM (${located}) located
+            WHERE "distance" <= ${radius}
+            ORDER BY "distance", "id"
+            LIMIT ${limit} OFFSET ${skip}`;
+
+        const items = await prisma.storageItem.findMany({
+            where: { id: { in: matches.map((match) => match.id) } },
+            include: { people: true, geoMeta: true },
+        });
+        const itemsById = new Map(items.map((item) => [item.id, item]));
+
+        const results = await Promise.all(
+            matches
+                .filter((match) => itemsById.has(match.id))
+                .map(async (match) => ({
+                    ...(await replaceWithPresignedUrls(itemsById.get(match.id))),
+                    distance: Math.round(match.distance),
+                }))
+        );
+
+        return {
+            items: results,
+            metadata: {
+                page,
+                limit,
+                totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+            },
+        };
+    } catch (error) {
+        logger.error(`Error getting storage items near ${lat},${lng}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Group a user's located items into the geohash cells of a map zoom level.
+ * Cells are computed from a regular grid in PostgreSQL, so no geohash column or extension is needed.
+ * Each cell has its item count, the average position of its items and a sample item, preferably one with a thumbnail.
+ * @param {Object} options - `zoom` (0-22, default 3), an optional `bounds` box and the type, source, date and person filters of the storage list
+ */
+export const getItemClusters = async (userId, options = {}) => {
+    try {
+        const { zoom = 3, bounds, ...filters } = options;
+
+        const precision = zoomToPrecision(zoom);
+        const { latHeight, lngWidth, rows, columns } = geohashCellSize(precision);
+
+        const conditions = buildStorageItemFilters(userId, filters);
+        if (bounds) conditions.push(boundsFilter(bounds));
+
+        // Counted apart from the cells, which are capped at MAX_CELLS
+        const [{ count: totalCount }] = await prisma.$queryRaw`
+            SELECT COUNT(*)::int AS "count"
+            FROM "storage_items" si
+            JOIN "geo_meta" g ON g."storageItemId" = si."id"
+            WHERE ${Prisma.join(conditions, " AND ")}`;
+
+        // Items exactly on the north pole or the antimeridian belong to the last row or column
+        const cells = await prisma.$queryRaw`
+            SELECT
+                least(floor((g."lat" + 90) / ${latHeight}), ${rows - 1})::bigint AS "row",
+                least(floor((g."lng" + 180) / ${lngWidth}), ${columns - 1})::bigint AS "column",
+                COUNT(*)::int AS "count",
+                AVG(g."lat") AS "lat",
+                AVG(g."lng") AS "lng",
+                (array_agg(si."id" ORDER BY (si."thumbnail" IS NULL), si."capturedAt" DESC NULLS LAST))[1] AS "sampleId"
+            FROM "storage_items" si
+            JOIN "geo_meta" g ON g."storageItemId" = si."id"
+            WHERE ${Prisma.join(conditions, " AND ")}
+            GROUP BY "row", "column"
+            ORDER BY "count" DESC
+            LIMIT ${MAX_CELLS}`;
+
+        const samples = await prisma.storageItem.findMany({
+            where: { id: { in: cells.map((cell) => cell.sampleId) } },
+        });
+        const presignedSamples = await Promise.all(samples.map((item) => replaceWithPresignedUrls(item)));
+        const samplesById = new Map(presignedSamples.map((item) => [item.id, item]));
+
+        return {
+            zoom,
+            precision,
+            totalCount,
+            cells: cells.map((cell) => {
+                const south = -90 + Number(cell.row) * latHeight;
+                const west = -180 + Number(cell.column) * lngWidth;
+
+                return {
+                    geohash: encodeGeohash(south + latHeight / 2, west + lngWidth / 2, precision),
+                    count: cell.count,
+                    center: { lat: cell.lat, lng: cell.lng },
+                    bounds: { west, south, east: west + lngWidth, north: south + latHeight },
+                    sample: samplesById.get(cell.sampleId) || null,
+                };
+            }),
+        };
+    } catch (error) {
+        logger.error("Error clustering storage items:", error);
+        throw error;
+    }
+};
+
+export default {
+    getItemsNear,
+    getItemClusters,
+    zoomToPrecision,
+    MAX_RADIUS_M,
+    MAX_ZOOM,
+};
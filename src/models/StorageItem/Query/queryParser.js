@@ -0,0 +1,177 @@
+import { ChronicleItemType, ContentSource } from "@prisma/client";
+import { BadRequestError } from "../../../lib/helpers.js";
+
+const tokenError = (token, message) =>
+    new BadRequestError(`${message} in "${token.raw}" at position ${token.position}`, "invalid_query", {
+        token: token.raw,
+        position: token.position,
+    });
+
+/**
+ * Split a query into tokens, keeping the position of each token for error messages.
+ * Tokens look like `word`, `"a phrase"`, `key:value` or `key:"quoted value"`, optionally prefixed with `-` to negate them.
+ */
+export const tokenize = (query) => {
+    const tokens = [];
+    const pattern = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"|(\S+))/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        const [raw, negation, key, quoted, bare] = match;
+
+        if (quoted === undefined && bare.includes('"')) {
+            throw tokenError({ raw, position: match.index }, "Unterminated quote");
+        }
+
+        // "key:" followed by a space or the end of the query
+        const emptyKey = quoted === undefined && bare.match(/^([a-zA-Z]+):$/);
+
+        tokens.push({
+            raw,
+            position: match.index,
+            negated: negation === "-",
+            key: emptyKey ? emptyKey[1].toLowerCase() : key ? key.toLowerCase() : null,
+            value: emptyKey ? "" : quoted !== undefined ? quoted : bare,
+        });
+    }
+
+    return tokens;
+};
+
+/**
+ * Resolve a date like "2023", "2023-06" or "2023-06-03" into the UTC period it covers
+ */
+const parsePeriod = (token) => {
+    const match = token.value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) {
+        throw tokenError(token, "Expected a date like 2023, 2023-06 or 2023-06-03");
+    }
+
+    const [, year, month, day] = match;
+    const start = new Date(Date.UTC(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1));
+
+    const end = new Date(start);
+    if (day) end.setUTCDate(end.getUTCDate() + 1);
+    else if (month) end.setUTCMonth(end.getUTCMonth() + 1);
+    else end.setUTCFullYear(end.getUTCFullYear() + 1);
+
+    // Reject dates that roll over, like 2023-02-30
+    const expected = [year, month, day].filter(Boolean).join("-");
+    if (start.toISOString().slice(0, expected.length) !== expected) {
+        throw tokenError(token, "Invalid date");
+    }
+
+    return { start, end };
+};
+
+const parseEnum = (token, values, name) => {
+    const value = token.value.toUpperCase();
+    if (!Object.values(values).includes(value)) {
+        throw tokenError(token, `Unknown ${name}. Must be one of: ${Object.values(values).join(", ")}`);
+    }
+    return value;
+};
+
+const textCondition = (text) => ({
+    OR: [{ fileName: { contains: text, mode: "insensitive" } }, { searchDocument: { content: { contains: text, mode: "insensitive" } } }],
+});
+
+const personCondition = (name) => {
+    const person = { name: { equals: name, mode: "insensitive" }, deletedAt: null };
+    return { OR: [{ people: { some: { person } } }, { face: { some: { person } } }] };
+};
+
+/**
+ * Labels are stored as enricher output, so match both the value as typed and capitalized ("beach" and "Beach")
+ */
+const labelCondition = (label) => {
+    const variants = [...new Set([label, label.charAt(0).toUpperCase() + label.slice(1)])];
+
+    return {
+        mediaMeta: {
+            some: {
+                OR: variants.flatMap((name) => [
+                    { type: "LABEL", payload: { path: ["labels"], array_contains: [{ name }] } },
+                    { type: "CUSTOM_LABEL", payload: { path: ["customLabels"], array_contains: [{ name }] } },
+                    { type: "KEYWORD", payload: { path: ["keywords"], array_contains: [name] } },
+                    { type: "KEYWORD", payload: { array_contains: [name] } },
+                ]),
+            },
+        },
+    };
+};
+
+/**
+ * Match the location's place name, city, region or country, or the name of a place the user defined around it
+ */
+const placeCondition = (place) => ({
+    OR: [
+        {
+            geoMeta: {
+                OR: ["place", "city", "region", "country"].map((field) => ({ [field]: { contains: place, mode: "insensitive" } })),
+            },
+        },
+        { places: { some: { place: { name: { contains: place, mode: "insensitive" } } } } },
+    ],
+});
+
+/**
+ * Countries match by name ("Portugal") or ISO code ("PT")
+ */
+const countryCondition = (country) => ({
+    geoMeta: {
+        OR: [{ country: { equals: country, mode: "insensitive" } }, { countryCode: { equals: country, mode: "insensitive" } }],
+    },
+});
+
+/**
+ * Compilers for each filter key. Each returns a Prisma where clause for storage items.
+ */
+const FILTERS = {
+    type: (token) => ({ type: parseEnum(token, ChronicleItemType, "type") }),
+    source: (token) => ({ source: parseEnum(token, ContentSource, "source") }),
+    person: (token) => personCondition(token.value),
+    label: (token) => labelCondition(token.value),
+    near: (token) => placeCondition(token.value),
+    city: (token) => ({ geoMeta: { city: { equals: token.value, mode: "insensitive" } } }),
+    region: (token) => ({ geoMeta: { region: { equals: token.value, mode: "insensitive" } } }),
+    country: (token) => countryCondition(token.value),
+    text: (token) => textCondition(token.value),
+    after: (token) => ({ capturedAt: { gte: parsePeriod(token).start } }),
+    before: (token) => ({ capturedAt: { lt: parsePeriod(token).start } }),
+    on: (token) => {
+        const { start, end } = parsePeriod(token);
+        return { capturedAt: { gte: start, lt: end } };
+    },
+};
+
+export const QUERY_FILTERS = Object.keys(FILTERS);
+
+/**
+ * Compile a structured query like `type:PHOTO person:"Alice" label:beach after:2023-06 near:"Lisbon"`
+ * into a Prisma where clause for storage items. Words without a key match file names and searchable text.
+ * @throws {BadRequestError} Pointing at the offending token when the query is invalid
+ */
+export const parseStorageQuery = (query) => {
+    const conditions = tokenize(query).map((token) => {
+        if (token.key && !FILTERS[token.key]) {
+            throw tokenError(token, `Unknown filter "${token.key}". Use one of: ${QUERY_FILTERS.join(", ")}`);
+        }
+
+        if (!token.value) {
+            throw tokenError(token, "Missing value");
+        }
+
+        const condition = token.key ? FILTERS[token.key](token) : textCondition(token.value);
+
+        return token.negated ? { NOT: condition } : condition;
+    });
+
+    return { AND: conditions };
+};
+
+export default {
+    tokenize,
+    parseStorageQuery,
+    QUERY_FILTERS,
+};
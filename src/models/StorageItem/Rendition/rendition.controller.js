@@ -0,0 +1,54 @@
+import { getImageRendition, RENDITION_FITS, RENDITION_FORMATS, MAX_RENDITION_DIMENSION } from "./rendition.service.js";
+import { successResponse, NotFoundError, BadRequestError } from "../../../lib/helpers.js";
+import logger from "../../../lib/logger.js";
+
+const parseDimension = (value, name) => {
+    if (value === undefined) return undefined;
+
+    const dimension = Number(value);
+    if (!Number.isInteger(dimension) || dimension < 1 || dimension > MAX_RENDITION_DIMENSION) {
+        throw new BadRequestError(`${name} must be an integer between 1 and ${MAX_RENDITION_DIMENSION}`);
+    }
+
+    return dimension;
+};
+
+/**
+ * Get a photo resized to the size the client displays it at
+ */
+export const getStorageItemImage = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { w, h, fit = "inside", format } = req.query;
+
+        const width = parseDimension(w, "w");
+        const height = parseDimension(h, "h");
+
+        if (!width && !height) {
+            throw new BadRequestError("At least one of w and h is required");
+        }
+
+        if (!RENDITION_FITS.includes(fit)) {
+            throw new BadRequestError(`Invalid fit. Must be one of: ${RENDITION_FITS.join(", ")}`);
+        }
+
+        if (format !== undefined && !RENDITION_FORMATS.includes(format)) {
+            throw new BadRequestError(`Invalid format. Must be one of: ${RENDITION_FORMATS.join(", ")}`);
+        }
+
+        const result = await getImageRendition(id, req.user.id, { width, height, fit, format });
+
+        if (!result) {
+            throw new NotFoundError(`Storage item with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Image rendition retrieved successfully", result));
+    } catch (error) {
+        logger.error(`Error retrieving image rendition of storage item ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+export default {
+    getStorageItemImage,
+};
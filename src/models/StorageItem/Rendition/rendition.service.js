@@ -0,0 +1,160 @@
+import prisma from "../../../lib/prisma.js";
+import logger from "../../../lib/logger.js";
+import { uploadFile, deleteFile, downloadBuffer, extractKeyFromUri, getPresignedUrl } from "../../../lib/s3Service.js";
+import { resizeImage, IMAGE_CONTENT_TYPES } from "../../../lib/imageMetadataService.js";
+import { BadRequestError } from "../../../lib/helpers.js";
+
+export const RENDITION_FITS = ["cover", "contain", "fill", "inside", "outside"];
+export const RENDITION_FORMATS = Object.keys(IMAGE_CONTENT_TYPES);
+export const MAX_RENDITION_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION) || 4096;
+
+/**
+ * Parse a list of named sizes like "small:320,medium:1024", each the longest side of a rendition in pixels
+ */
+const parseSizes = (value) =>
+    value
+        .split(",")
+        .map((entry) => entry.trim().split(":"))
+        .map(([name, size]) => ({ name, size: parseInt(size) }))
+        .filter(({ name, size }) => name && size > 0 && size <= MAX_RENDITION_DIMENSION);
+
+// Renditions generated for every uploaded photo
+const UPLOAD_SIZES = parseSizes(process.env.IMAGE_RENDITION_SIZES || "small:320,medium:1024,large:2048");
+// Formats rendered for each size in addition to the photo's own format
+const UPLOAD_FORMATS = (process.env.IMAGE_RENDITION_FORMATS || "webp")
+    .split(",")
+    .map((format) => format.trim())
+    .filter((format) => RENDITION_FORMATS.includes(format));
+
+// Requested dimensions are rounded up to one of these sizes, so that a photo has a bounded number of cached renditions
+const SIZE_STEPS = [64, 128, 192, 256, 320, 480, 640, 800, 1024, 1280, 1600, 2048, 2560, 3200, 4096];
+const ALLOWED_SIZES = [...new Set([...SIZE_STEPS, ...UPLOAD_SIZES.map(({ size }) => size), MAX_RENDITION_DIMENSION])]
+    .filter((size) => size <= MAX_RENDITION_DIMENSION)
+    .sort((a, b) => a - b);
+
+const snapToStep = (dimension) => dimension && ALLOWED_SIZES.find((size) => size >= dimension);
+
+/**
+ * Round a requested box up to the allowed sizes. When both sides are given the longer one is rounded
+ * and the other is scaled with it, so that the box keeps the shape a cover or fill rendition is cropped or stretched to.
+ */
+const snapBox = ({ width, height }) => {
+    if (!width || !height) return { width: snapToStep(width), height: snapToStep(height) };
+
+    const longest = Math.max(width, height);
+    const scale = snapToStep(longest) / longest;
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+/**
+ * The key identifying a rendition among those of an item, e.g. "320x320-inside.webp" or "0x480-cover.jpeg"
+ */
+const variantKey = ({ width, height, fit, format }) => `${width || 0}x${height || 0}-${fit}.${format}`;
+
+const renderAndUpload = async (buffer, spec, fileName) => {
+    const image = await resizeImage(buffer, spec);
+    const baseName = fileName.split(".").slice(0, -1).join(".") || fileName;
+    const result = await uploadFile(image.buffer, `${baseName}_${image.width}x${image.height}.${spec.format}`, image.contentType, "renditions");
+
+    return {
+        variant: variantKey(spec),
+        format: spec.format,
+        width: image.width,
+        height: image.height,
+        fileSize: image.buffer.length,
+        uri: result.url,
+    };
+};
+
+/**
+ * Render the configured set of named renditions of an uploaded photo, in its own format and in the extra formats.
+ * A rendition that fails is left out; it is rendered on request instead.
+ * @param {string} sourceFormat - The format of the stored photo, jpeg or png
+ * @returns {Promise<Object[]>} The rendition rows to create with the storage item
+ */
+export const createUploadRenditions = async (buffer, fileName, sourceFormat) => {
+    const formats = [...new Set([sourceFormat, ...UPLOAD_FORMATS])];
+    const renditions = [];
+
+    for (const { name, size } of UPLOAD_SIZES) {
+        for (const format of formats) {
+            const spec = { width: size, height: size, fit: "inside", format };
+
+            try {
+                renditions.push({ name, ...(await renderAndUpload(buffer, spec, fileName)) });
+            } catch (error) {
+                logger.warn(`Could not render ${name} ${format} rendition of ${fileName}: ${error.message}`);
+            }
+        }
+    }
+
+    return renditions;
+};
+
+const toRenditionResponse = async (rendition) => ({
+    name: rendition.name,
+    format: rendition.format,
+    width: rendition.width,
+    height: rendition.height,
+    fileSize: rendition.fileSize,
+    url: await getPresignedUrl(extractKeyFromUri(rendition.uri)),
+});
+
+/**
+ * Get a photo resized into a box, rendering and caching it in S3 the first time it is requested.
+ * The box is enlarged to the next of the allowed sizes, clients scale the rendition down to the size they display.
+ * @param {Object} spec - `width` and/or `height`, a `fit` and an output `format` (default: the photo's own format)
+ * @returns {Promise<Object|null>} The rendition with a presigned URL, or null when the item is not found
+ */
+export const getImageRendition = async (id, userId, spec) => {
+    try {
+        const item = await prisma.storageItem.findFirst({
+            where: { id, userId, deletedAt: null },
+            select: { type: true, uri: true, fileName: true, mimeType: true },
+        });
+
+        if (!item) return null;
+
+        if (item.type !== "PHOTO") {
+            throw new BadRequestError("Resized images are only available for photos");
+        }
+
+        const format = spec.format || (item.mimeType === "image/png" ? "png" : "jpeg");
+        const fullSpec = { ...spec, ...snapBox(spec), format };
+
+        const cached = await prisma.imageRendition.findUnique({
+            where: { storageItemId_variant: { storageItemId: id, variant: variantKey(fullSpec) } },
+        });
+
+        if (cached) {
+            return { rendition: await toRenditionResponse(cached), cached: true };
+        }
+
+        const source = await downloadBuffer(extractKeyFromUri(item.uri));
+        const rendered = await renderAndUpload(source, fullSpec, item.fileName);
+
+        // A concurrent request may have cached the same variant first, in which case its copy is kept
+        const rendition = await prisma.imageRendition.upsert({
+            where: { storageItemId_variant: { storageItemId: id, variant: rendered.variant } },
+            create: { ...rendered, storageItemId: id },
+            update: {},
+        });
+
+        if (rendition.uri !== rendered.uri) {
+            await deleteFile(extractKeyFromUri(rendered.uri)).catch(() => null);
+        }
+
+        return { rendition: await toRenditionResponse(rendition), cached: false };
+    } catch (error) {
+        logger.error(`Error getting image rendition of storage item ${id}:`, error);
+        throw error;
+    }
+};
+
+export default {
+    createUploadRenditions,
+    getImageRendition,
+    RENDITION_FITS,
+    RENDITION_FORMATS,
+    MAX_RENDITION_DIMENSION,
+};
@@ -0,0 +1,73 @@
+import { getSimilarItems, getNearDuplicateGroups, MAX_HASH_DISTANCE } from "./similarity.service.js";
+import { successResponse, NotFoundError, BadRequestError } from "../../../lib/helpers.js";
+import logger from "../../../lib/logger.js";
+
+const parseThreshold = (threshold) => {
+    if (threshold === undefined) return undefined;
+
+    const value = Number(threshold);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_HASH_DISTANCE) {
+        throw new BadRequestError(`threshold must be an integer between 0 and ${MAX_HASH_DISTANCE}`);
+    }
+
+    return value;
+};
+
+const parsePositiveInteger = (name, value) => {
+    if (value === undefined) return undefined;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new BadRequestError(`${name} must be a positive integer`);
+    }
+
+    return number;
+};
+
+/**
+ * Get the photos that look like a given photo
+ */
+export const getSimilarStorageItems = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { threshold, limit } = req.query;
+
+        const result = await getSimilarItems(id, req.user.id, {
+            threshold: parseThreshold(threshold),
+            limit: parsePositiveInteger("limit", limit),
+        });
+
+        if (!result) {
+            throw new NotFoundError(`Storage item with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Similar storage items retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving similar storage items:", error);
+        next(error);
+    }
+};
+
+/**
+ * Get groups of near-duplicate photos
+ */
+export const getNearDuplicateStorageItems = async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+
+        const result = await getNearDuplicateGroups(req.user.id, {
+            page: parsePositiveInteger("page", page),
+            limit: parsePositiveInteger("limit", limit),
+        });
+
+        return res.status(200).json(successResponse("Near-duplicate storage items retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving near-duplicate storage items:", error);
+        next(error);
+    }
+};
+
+export default {
+    getSimilarStorageItems,
+    getNearDuplicateStorageItems,
+};
@@ -0,0 +1,167 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../../../lib/prisma.js";
+import logger from "../../../lib/logger.js";
+import { replaceWithPresignedUrls } from "../../../lib/s3Service.js";
+import { BadRequestError } from "../../../lib/helpers.js";
+
+export const MAX_HASH_DISTANCE = 64;
+// Photos within this distance of each other, directly or through other photos, form a near-duplicate group
+export const NEAR_DUPLICATE_THRESHOLD = parseInt(process.env.NEAR_DUPLICATE_THRESHOLD) || 6;
+
+/**
+ * Hamming distance between the perceptual hash of a storage item row and a hash, computed by PostgreSQL
+ */
+const hashDistanceSql = (hash) =>
+    Prisma.sql`length(replace((('x' || si."perceptualHash")::bit(64) # ('x' || ${hash}::text)::bit(64))::text, '0', ''))`;
+
+/**
+ * Find the user's photos within a distance of a hash, closest first.
+ * The distances are computed in the database so the photos are never loaded to compare them.
+ */
+const findPhotosWithin = (userId, hash, threshold, { excludeId, includeTrashed = false, limit = null } = {}) => prisma.$queryRaw`
+    SELECT si."id", si."similarityGroupId", ${hashDistanceSql(hash)} AS "distance"
+    FROM "storage_items" si
+    WHERE si."userId" = ${userId}
+        AND si."type" = 'PHOTO'
+        AND si."perceptualHash" IS NOT NULL
+        AND si."id" <> ${excludeId}
+        ${includeTrashed ? Prisma.empty : Prisma.sql`AND si."deletedAt" IS NULL`}
+        AND ${hashDistanceSql(hash)} <= ${threshold}
+    ORDER BY "distance", si."createdAt"
+    ${limit ? Prisma.sql`LIMIT ${limit}` : Prisma.empty}
+`;
+
+/**
+ * Put a fingerprinted photo in the near-duplicate group of the photos it looks like, merging their groups when
+ * it bridges several, or in a group of its own. Groups are kept when photos are trashed so that restoring them is enough.
+ * @returns {Promise<string>} The ID of the photo's group
+ */
+export const assignSimilarityGroup = async ({ id, userId, perceptualHash }) => {
+    try {
+        const matches = await findPhotosWithin(userId, perceptualHash, NEAR_DUPLICATE_THRESHOLD, { excludeId: id, includeTrashed: true });
+
+        const groupIds = [...new Set(matches.map((match) => match.similarityGroupId).filter(Boolean))].sort();
+        const groupId = groupIds[0] || id;
+
+        await prisma.$transaction([
+            prisma.storageItem.update({
+                where: { id },
+                data: { similarityGroupId: groupId },
+            }),
+            prisma.storageItem.updateMany({
+                where: { userId, similarityGroupId: { in: groupIds.slice(1) } },
+                data: { similarityGroupId: groupId },
+            }),
+        ]);
+
+        return groupId;
+    } catch (error) {
+        logger.error(`Error assigning the near-duplicate group of ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Get the photos of a user that look like the given photo, closest first
+ * @returns {Promise<Object|null>} The similar items, or null when the item is not found
+ */
+export const getSimilarItems = async (id, userId, options = {}) => {
+    try {
+        const { threshold = 10, limit = 20 } = options;
+
+        const item = await prisma.storageItem.findFirst({
+            where: { id, userId, deletedAt: null },
+            select: { id: true, type: true, perceptualHash: true },
+        });
+
+        if (!item) return null;
+
+        if (!item.perceptualHash) {
+            throw new BadRequestError(
+                item.type === "PHOTO" ? "This photo has not been fingerprinted yet" : "Similarity search is only available for photos"
+            );
+        }
+
+        const matches = await findPhotosWithin(userId, item.perceptualHash, threshold, { excludeId: id, limit });
+
+        const items = await prisma.storageItem.findMany({
+            where: { id: { in: matches.map((match) => match.id) } },
+        });
+        const itemsById = new Map(items.map((storageItem) => [storageItem.id, storageItem]));
+
+        const similarItems = await Promise.all(
+            matches.map(async (match) => ({
+                ...(await replaceWithPresignedUrls(itemsById.get(match.id))),
+                distance: match.distance,
+            }))
+        );
+
+        return { items: similarItems, threshold };
+    } catch (error) {
+        logger.error(`Error getting items similar to ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Get groups of visually near-identical photos, largest group first.
+ * The groups are formed when photos are fingerprinted, within NEAR_DUPLICATE_THRESHOLD bits of each other.
+ */
+export const getNearDuplicateGroups = async (userId, options = {}) => {
+    try {
+        const { page = 1, limit = 20 } = options;
+
+        const skip = (page - 1) * limit;
+        const where = { userId, deletedAt: null, type: "PHOTO", similarityGroupId: { not: null } };
+
+        const allGroups = await prisma.storageItem.groupBy({
+            by: ["similarityGroupId"],
+            where,
+            having: {
+                similarityGroupId: { _count: { gt: 1 } },
+            },
+            _count: { _all: true },
+            _min: { createdAt: true },
+        });
+
+        allGroups.sort((a, b) => b._count._all - a._count._all || a._min.createdAt - b._min.createdAt);
+        const pageGroups = allGroups.slice(skip, skip + limit);
+
+        const items = await prisma.storageItem.findMany({
+            where: {
+                ...where,
+                similarityGroupId: { in: pageGroups.map((group) => group.similarityGroupId) },
+            },
+            orderBy: { createdAt: "asc" },
+        });
+
+        const itemsWithPresignedUrls = await Promise.all(items.map((item) => replaceWithPresignedUrls(item)));
+
+        const groups = pageGroups.map((group) => ({
+            count: group._count._all,
+            items: itemsWithPresignedUrls.filter((item) => item.similarityGroupId === group.similarityGroupId),
+        }));
+
+        return {
+            groups,
+            threshold: NEAR_DUPLICATE_THRESHOLD,
+            metadata: {
+                page,
+                limit,
+                totalCount: allGroups.length,
+                totalPages: Math.ceil(allGroups.length / limit),
+            },
+        };
+    } catch (error) {
+        logger.error("Error getting near-duplicate photos:", error);
+        throw error;
+    }
+};
+
+export default {
+    MAX_HASH_DISTANCE,
+    NEAR_DUPLICATE_THRESHOLD,
+    assignSimilarityGroup,
+    getSimilarItems,
+    getNearDuplicateGroups,
+};
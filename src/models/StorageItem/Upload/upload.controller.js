@@ -0,0 +1,172 @@
+import {
+    createUploadSession,
+    completeUploadSession,
+    uploadSessionPart,
+    getUploadSessionStatus,
+    abortUploadSession,
+    MAX_DIRECT_UPLOAD_SIZE,
+} from "./upload.service.js";
+import { allowedMimeTypes, resolveMimeType } from "../../../lib/middleware/upload.js";
+import { successResponse, NotFoundError, BadRequestError, isValidDate } from "../../../lib/helpers.js";
+import logger from "../../../lib/logger.js";
+
+/**
+ * Start a direct-to-S3 upload and return the presigned URL(s) to upload to
+ */
+export const initiateUpload = async (req, res, next) => {
+    try {
+        const { fileName, fileSize, resumable, capturedAt } = req.body;
+
+        if (!fileName || !req.body.mimeType) {
+            throw new BadRequestError("fileName and mimeType are required");
+        }
+
+        const mimeType = resolveMimeType(req.body.mimeType, fileName);
+
+        if (!allowedMimeTypes.includes(mimeType)) {
+            throw new BadRequestError(`File type '${mimeType}' is not supported`);
+        }
+
+        if (!Number.isInteger(fileSize) || fileSize <= 0) {
+            throw new BadRequestError("fileSize must be a positive integer");
+        }
+
+        if (fileSize > MAX_DIRECT_UPLOAD_SIZE) {
+            throw new BadRequestError(`File too large. Maximum size is ${MAX_DIRECT_UPLOAD_SIZE / (1024 * 1024)}MB`);
+        }
+
+        if (capturedAt && !isValidDate(capturedAt)) {
+            throw new BadRequestError("Invalid capturedAt");
+        }
+
+        const { session, upload } = await createUploadSession(req.user.id, {
+            fileName,
+            mimeType,
+            fileSize,
+            resumable: resumable === true,
+            capturedAt: capturedAt ? new Date(capturedAt) : undefined,
+        });
+
+        return res.status(201).json(
+            successResponse(
+                "Upload session created successfully",
+                {
+                    uploadId: session.id,
+                    expiresAt: session.expiresAt,
+                    upload,
+                },
+                201
+            )
+        );
+    } catch (error) {
+        logger.error("Error creating upload session:", error);
+        next(error);
+    }
+};
+
+/**
+ * Finalize a direct-to-S3 upload and create the storage item
+ */
+export const completeUpload = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { parts } = req.body || {};
+
+        if (parts !== undefined) {
+            if (!Array.isArray(parts) || parts.some((part) => !Number.isInteger(part?.partNumber) || !part?.etag)) {
+                throw new BadRequestError("parts must be an array of { partNumber, etag }");
+            }
+        }
+
+        const storageItem = await completeUploadSession(id, req.user.id, parts);
+
+        if (!storageItem) {
+            throw new NotFoundError(`Upload session with ID ${id} not found`);
+        }
+
+        if (storageItem.duplicate) {
+            return res.status(200).json(successResponse("Storage item already exists", { storageItem, duplicate: true }));
+        }
+
+        return res.status(201).json(successResponse("Storage item created successfully", { storageItem, duplicate: false }, 201));
+    } catch (error) {
+        logger.error(`Error completing upload ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+/**
+ * Upload one part of a resumable upload. The request body is the raw part bytes.
+ */
+export const uploadPart = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const partNumber = parseInt(req.params.partNumber);
+
+        if (!Number.isInteger(partNumber)) {
+            throw new BadRequestError("partNumber must be an integer");
+        }
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            throw new BadRequestError("Part data is required. Send it as application/octet-stream.");
+        }
+
+        const part = await uploadSessionPart(id, req.user.id, partNumber, req.body);
+
+        if (!part) {
+            throw new NotFoundError(`Upload session with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Part uploaded successfully", { part }));
+    } catch (error) {
+        logger.error(`Error uploading part of upload ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+/**
+ * Get the state of an upload, including the offset to resume from
+ */
+export const getUploadStatus = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const upload = await getUploadSessionStatus(id, req.user.id);
+
+        if (!upload) {
+            throw new NotFoundError(`Upload session with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Upload session retrieved successfully", { upload }));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Abort an upload and discard the uploaded data
+ */
+export const abortUpload = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const session = await abortUploadSession(id, req.user.id);
+
+        if (!session) {
+            throw new NotFoundError(`Pending upload session with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Upload aborted successfully"));
+    } catch (error) {
+        logger.error(`Error aborting upload ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
+export default {
+    initiateUpload,
+    completeUpload,
+    uploadPart,
+    getUploadStatus,
+    abortUpload,
+};
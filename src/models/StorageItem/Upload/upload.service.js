@@ -0,0 +1,565 @@
+import { v4 as uuidv4 } from "uuid";
+import prisma from "../../../lib/prisma.js";
+import logger from "../../../lib/logger.js";
+import {
+    getObjectUrl,
+    getBucketName,
+    headObject,
+    downloadBuffer,
+    deleteFile,
+    uploadFile,
+    getPresignedUrl,
+    getPresignedUploadUrl,
+    createMultipartUpload,
+    getPresignedPartUrl,
+    uploadPart,
+    listParts,
+    completeMultipartUpload,
+    abortMultipartUpload,
+} from "../../../lib/s3Service.js";
+import { generateThumbnail, processImageFormat, computePerceptualHash, extractExifMetadata } from "../../../lib/imageMetadataService.js";
+import {
+    saveStorageItem,
+    determineItemType,
+    findDuplicateItem,
+    createVideoPreviews,
+    createAudioWaveform,
+    createDocumentPreviews,
+    decodeCameraImage,
+} from "../storageItem.service.js";
+import { isCameraImage } from "../../../lib/cameraImageService.js";
+import { isPreviewableDocument } from "../../../lib/documentPreviewService.js";
+import { createUploadRenditions } from "../Rendition/rendition.service.js";
+import { computeContentHash } from "../../../lib/contentHash.js";
+import { StorageItemTypes } from "../../../enums/storageItemTypes.js";
+import { BadRequestError } from "../../../lib/helpers.js";
+import "dotenv/config";
+
+const MB = 1024 * 1024;
+const MIN_PART_SIZE = 5 * MB;
+const MAX_PARTS = 10000;
+
+const URL_EXPIRY_SECONDS = parseInt(process.env.UPLOAD_URL_EXPIRY_SECONDS) || 3600;
+const SESSION_EXPIRY_HOURS = parseInt(process.env.UPLOAD_SESSION_EXPIRY_HOURS) || 24;
+const MULTIPART_THRESHOLD = (parseInt(process.env.UPLOAD_MULTIPART_THRESHOLD_MB) || 100) * MB;
+const DEFAULT_PART_SIZE = Math.max(MIN_PART_SIZE, (parseInt(process.env.UPLOAD_PART_SIZE_MB) || 10) * MB);
+
+export const MAX_DIRECT_UPLOAD_SIZE = (parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5120) * MB;
+// Photos are downloaded into memory to be processed, so they are held to the limit of /storage/file uploads
+export const MAX_PHOTO_UPLOAD_SIZE = (parseInt(process.env.MAX_FILE_SIZE) || 50) * MB;
+
+/**
+ * Part size that keeps the upload within S3's part count limit
+ */
+const getPartSize = (fileSize) => Math.max(DEFAULT_PART_SIZE, Math.ceil(fileSize / MAX_PARTS));
+
+export const MAX_PART_SIZE = getPartSize(MAX_DIRECT_UPLOAD_SIZE);
+
+const getPartCount = (session) => Math.ceil(Number(session.fileSize) / session.partSize);
+
+const getSessionExpiry = () => new Date(Date.now() + SESSION_EXPIRY_HOURS * 60 * 60 * 1000);
+
+/**
+ * Find a pending, unexpired upload session of the user
+ */
+const findActiveSession = async (sessionId, userId) => {
+    const session = await prisma.uploadSession.findFirst({
+        where: { id: sessionId, userId },
+    });
+
+    if (!session) return null;
+
+    if (session.status !== "PENDING") {
+        throw new BadRequestError(`Upload session is ${session.status.toLowerCase()}`);
+    }
+
+    if (session.expiresAt < new Date()) {
+        throw new BadRequestError("Upload session has expired");
+    }
+
+    return session;
+};
+
+const buildObjectKey = (fileName, type) => {
+    const fileExtension = fileName.includes(".") ? fileName.split(".").pop() : "bin";
+    return `${type.toLowerCase()}/${uuidv4()}.${fileExtension}`;
+};
+
+/**
+ * Start a direct-to-S3 upload. Small files get a single presigned PUT URL,
+ * large files get a multipart upload with one presigned URL per part.
+ * Resumable uploads are always multipart and send their parts through the API.
+ */
+export const createUploadSession = async (userId, { fileName, mimeType, fileSize, resumable = false, capturedAt }) => {
+    try {
+        const type = determineItemType(mimeType);
+
+        if (type === StorageItemTypes.PHOTO && fileSize > MAX_PHOTO_UPLOAD_SIZE) {
+            throw new BadRequestError(`Photo too large. Maximum size is ${MAX_PHOTO_UPLOAD_SIZE / MB}MB`);
+        }
+
+        const key = buildObjectKey(fileName, type);
+        const expiresAt = getSessionExpiry();
+
+        if (!resumable && fileSize <= MULTIPART_THRESHOLD) {
+            const session = await prisma.uploadSession.create({
+                data: { userId, key, fileName, mimeType, fileSize, type, capturedAt, expiresAt },
+            });
+
+            const url = await getPresignedUploadUrl(key, mimeType, URL_EXPIRY_SECONDS);
+
+            return {
+                session,
+                upload: {
+                    method: "PUT",
+                    url,
+                    headers: { "Content-Type": mimeType },
+                    expiresIn: URL_EXPIRY_SECONDS,
+                },
+            };
+        }
+
+        const partSize = getPartSize(fileSize);
+        const partCount = Math.ceil(fileSize / partSize);
+        const multipartUploadId = await createMultipartUpload(key, mimeType);
+
+        const session = await prisma.uploadSession.create({
+            data: { userId, key, fileName, mimeType, fileSize, type, multipartUploadId, partSize, capturedAt, expiresAt },
+        });
+
+        if (resumable) {
+            return {
+                session,
+                upload: {
+                    multipart: true,
+                    resumable: true,
+                    partSize,
+                    partCount,
+                },
+            };
+        }
+
+        const parts = await Promise.all(
+            Array.from({ length: partCount }, async (_, index) => ({
+                partNumber: index + 1,
+                url: await getPresignedPartUrl(key, multipartUploadId, index + 1, URL_EXPIRY_SECONDS),
+            }))
+        );
+
+        return {
+            session,
+            upload: {
+                method: "PUT",
+                multipart: true,
+                partSize,
+                parts,
+                expiresIn: URL_EXPIRY_SECONDS,
+            },
+        };
+    } catch (error) {
+        logger.error("Error creating upload session:", error);
+        throw error;
+    }
+};
+
+/**
+ * Generate the thumbnail of an uploaded photo, converting it to JPEG/PNG first when needed.
+ * Returns the final object key and content type, which change when the photo was converted.
+ * Converted photos keep the uploaded object untouched as their original next to the display copy.
+ */
+const processUploadedPhoto = async (session, buffer) => {
+    // Read EXIF before format conversion strips it
+    const exif = await extractExifMetadata(buffer).catch(() => null);
+
+    // HEIF and RAW photos are decoded to JPEG first
+    const displayBuffer = isCameraImage(session.mimeType) ? await decodeCameraImage(buffer, session.mimeType, session.fileName) : buffer;
+
+    const { buffer: processedBuffer, format, contentType } = await processImageFormat(displayBuffer);
+
+    let key = session.key;
+    let uri = getObjectUrl(session.key);
+    const processedName = session.fileName.split(".").slice(0, -1).join(".") + "." + format;
+
+    const converted = processedBuffer !== buffer;
+
+    if (converted) {
+        const s3Result = await uploadFile(processedBuffer, processedName, contentType, session.type.toLowerCase());
+        key = s3Result.key;
+        uri = s3Result.url;
+    }
+
+    const thumbnail = await generateThumbnail(processedBuffer);
+    const thumbnailResult = await uploadFile(thumbnail, `thumb_${processedName}`, contentType, "thumbnails");
+
+    const renditions = await createUploadRenditions(processedBuffer, processedName, format);
+
+    const perceptualHash = await computePerceptualHash(processedBuffer).catch(() => null);
+
+    return {
+        key,
+        uri,
+        mimeType: contentType,
+        fileSize: processedBuffer.length,
+        thumbnail: thumbnailResult.url,
+        renditions,
+        perceptualHash,
+        exif,
+        original: converted ? getObjectUrl(session.key) : undefined,
+        originalMimeType: converted ? session.mimeType : undefined,
+    };
+};
+
+const markSessionCompleted = (sessionId, storageItemId) =>
+    prisma.uploadSession.updateMany({
+        where: { id: sessionId, status: "COMPLETING" },
+        data: {
+            status: "COMPLETED",
+            storageItemId,
+            completedAt: new Date(),
+        },
+    });
+
+/**
+ * Verify the uploaded object of a session claimed for completion and record it as a storage item
+ */
+const finalizeUploadSession = async (session, userId, parts) => {
+    const sessionId = session.id;
+
+    if (session.multipartUploadId) {
+        // Parts sent through the API are only known to S3, so look them up when the client doesn't list them
+        const uploadedParts = Array.isArray(parts) && parts.length > 0 ? parts : await listParts(session.key, session.multipartUploadId);
+
+        const receivedNumbers = new Set(uploadedParts.map((part) => part.partNumber));
+        const missingParts = [];
+        for (let partNumber = 1; partNumber <= getPartCount(session); partNumber++) {
+            if (!receivedNumbers.has(partNumber)) missingParts.push(partNumber);
+        }
+
+        if (missingParts.length > 0) {
+            throw new BadRequestError(`Upload is missing parts: ${missingParts.join(", ")}`, "upload_incomplete", { missingParts });
+        }
+
+        await completeMultipartUpload(session.key, session.multipartUploadId, uploadedParts);
+
+        // The parts are now a single object: a retry must not complete the upload again and cleanup must delete the object
+        await prisma.uploadSession.update({
+            where: { id: sessionId },
+            data: { multipartUploadId: null },
+        });
+    }
+
+    const object = await headObject(session.key);
+
+    if (!object) {
+        throw new BadRequestError("Uploaded file was not found in storage");
+    }
+
+    // Presigned URLs don't bind the length, so the declared size the limits were checked against is enforced here
+    if (Number(object.ContentLength) !== Number(session.fileSize)) {
+        await deleteFile(session.key);
+        await prisma.uploadSession.update({
+            where: { id: sessionId },
+            data: { status: "ABORTED" },
+        });
+        throw new BadRequestError(`Uploaded file is ${object.ContentLength} bytes but the upload was started for ${session.fileSize} bytes`);
+    }
+
+    let file = {
+        key: session.key,
+        uri: getObjectUrl(session.key),
+        mimeType: session.mimeType,
+        fileSize: object.ContentLength,
+        thumbnail: undefined,
+    };
+    let contentHash;
+
+    // Photos are downloaded for processing anyway, so they are also checked for duplicates
+    if (session.type === StorageItemTypes.PHOTO) {
+        const buffer = await downloadBuffer(session.key);
+        contentHash = computeContentHash(buffer);
+
+        const existingItem = await findDuplicateItem(userId, contentHash);
+        if (existingItem) {
+            await deleteFile(session.key);
+            await markSessionCompleted(sessionId, existingItem.id);
+            return { ...existingItem, duplicate: true };
+        }
+
+        file = await processUploadedPhoto(session, buffer);
+    }
+
+    // Videos can be large, so ffmpeg streams the range it needs from S3 instead of downloading them
+    if (session.type === StorageItemTypes.VIDEO) {
+        const videoUrl = await getPresignedUrl(session.key);
+        const { thumbnail, preview, video } = await createVideoPreviews(videoUrl, session.fileName);
+        file = { ...file, thumbnail, preview, video };
+    }
+
+    if (session.type === StorageItemTypes.AUDIO) {
+        const { thumbnail, peaks, audio } = await createAudioWaveform(await getPresignedUrl(session.key), session.fileName);
+        file = { ...file, thumbnail, peaks, audio };
+    }
+
+    // Only documents up to DOCUMENT_PREVIEW_MAX_SIZE_MB are downloaded, larger ones are stored without previews
+    if (session.type === StorageItemTypes.DOCUMENT && isPreviewableDocument(session.mimeType, object.ContentLength)) {
+        const buffer = await downloadBuffer(session.key);
+        const { thumbnail, pages, document } = await createDocumentPreviews(buffer, session.fileName, session.mimeType);
+        file = { ...file, thumbnail, pages, document };
+    }
+
+    const storageItem = await saveStorageItem({
+        uri: file.uri,
+        bucket: getBucketName(),
+        key: file.key,
+        thumbnail: file.thumbnail,
+        preview: file.preview,
+        peaks: file.peaks,
+        pages: file.pages,
+        renditions: file.renditions,
+        original: file.original,
+        originalMimeType: file.originalMimeType,
+        fileName: session.fileName,
+        fileSize: file.fileSize,
+        mimeType: file.mimeType,
+        contentHash,
+        perceptualHash: file.perceptualHash,
+        exif: file.exif,
+        video: file.video,
+        audio: file.audio,
+        document: file.document,
+        capturedAt: session.capturedAt || file.exif?.capturedAt || file.video?.capturedAt,
+        type: session.type,
+        userId,
+    });
+
+    await markSessionCompleted(sessionId, storageItem.id);
+
+    return { ...storageItem, duplicate: false };
+};
+
+/**
+ * Verify the uploaded object and record it as a storage item.
+ * Photos identical to an existing item are discarded and the existing item is returned with `duplicate: true`.
+ * The session is claimed first so that concurrent requests can't complete it twice; a failed completion can be retried.
+ * @param {string} sessionId - The upload session ID
+ * @param {string} userId - The user ID
+ * @param {Array<{partNumber: number, etag: string}>} parts - Uploaded parts of a multipart upload, listed from S3 when omitted
+ */
+export const completeUploadSession = async (sessionId, userId, parts) => {
+    try {
+        const session = await findActiveSession(sessionId, userId);
+
+        if (!session) return null;
+
+        // The expiry is pushed back so that the cleanup doesn't remove the object while it is being verified
+        const claimed = await prisma.uploadSession.updateMany({
+            where: { id: sessionId, status: "PENDING" },
+            data: { status: "COMPLETING", expiresAt: getSessionExpiry() },
+        });
+
+        if (claimed.count === 0) {
+            throw new BadRequestError("Upload session is already being completed");
+        }
+
+        try {
+            return await finalizeUploadSession(session, userId, parts);
+        } catch (error) {
+            // Hand the session back for a retry, unless it was aborted
+            await prisma.uploadSession
+                .updateMany({
+                    where: { id: sessionId, status: "COMPLETING" },
+                    data: { status: "PENDING" },
+                })
+                .catch(() => null);
+            throw error;
+        }
+    } catch (error) {
+        logger.error(`Error completing upload session ${sessionId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Upload one part of a multipart upload through the API.
+ * Every part except the last must be exactly `partSize` bytes.
+ */
+export const uploadSessionPart = async (sessionId, userId, partNumber, buffer) => {
+    try {
+        const session = await findActiveSession(sessionId, userId);
+
+        if (!session) return null;
+
+        if (!session.multipartUploadId) {
+            throw new BadRequestError("Upload session does not accept parts");
+        }
+
+        const partCount = getPartCount(session);
+
+        if (partNumber < 1 || partNumber > partCount) {
+            throw new BadRequestError(`partNumber must be between 1 and ${partCount}`);
+        }
+
+        const expectedSize = partNumber === partCount ? Number(session.fileSize) - (partCount - 1) * session.partSize : session.partSize;
+
+        if (buffer.length !== expectedSize) {
+            throw new BadRequestError(`Part ${partNumber} must be ${expectedSize} bytes, received ${buffer.length}`);
+        }
+
+        const part = await uploadPart(session.key, session.multipartUploadId, partNumber, buffer);
+
+        // Keep active uploads alive
+        await prisma.uploadSession.update({
+            where: { id: sessionId },
+            data: { expiresAt: getSessionExpiry() },
+        });
+
+        return part;
+    } catch (error) {
+        logger.error(`Error uploading part ${partNumber} of upload session ${sessionId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Get the state of an upload session, including the parts and byte offset received so far
+ */
+export const getUploadSessionStatus = async (sessionId, userId) => {
+    try {
+        const session = await prisma.uploadSession.findFirst({
+            where: { id: sessionId, userId },
+        });
+
+        if (!session) return null;
+
+        const status = {
+            uploadId: session.id,
+            status: session.status,
+            fileName: session.fileName,
+            fileSize: session.fileSize,
+            expiresAt: session.expiresAt,
+            storageItemId: session.storageItemId,
+        };
+
+        if (!session.multipartUploadId || session.status !== "PENDING") {
+            return status;
+        }
+
+        const parts = await listParts(session.key, session.multipartUploadId);
+        const receivedNumbers = new Set(parts.map((part) => part.partNumber));
+
+        // The offset is the number of bytes received without gaps from the start of the file
+        let nextPartNumber = 1;
+        while (receivedNumbers.has(nextPartNumber)) nextPartNumber++;
+
+        const partCount = getPartCount(session);
+
+        return {
+            ...status,
+            partSize: session.partSize,
+            partCount,
+            receivedParts: parts,
+            offset: Math.min(Number(session.fileSize), (nextPartNumber - 1) * session.partSize),
+            nextPartNumber: nextPartNumber > partCount ? null : nextPartNumber,
+        };
+    } catch (error) {
+        logger.error(`Error getting upload session ${sessionId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Release the S3 resources of an upload session
+ */
+const releaseSessionObject = async (session) => {
+    if (session.multipartUploadId) {
+        await abortMultipartUpload(session.key, session.multipartUploadId);
+    } else {
+        await deleteFile(session.key);
+    }
+};
+
+/**
+ * Abort an upload session and discard the uploaded data
+ */
+export const abortUploadSession = async (sessionId, userId) => {
+    try {
+        const session = await prisma.uploadSession.findFirst({
+            where: { id: sessionId, userId, status: "PENDING" },
+        });
+
+        if (!session) return null;
+
+        await releaseSessionObject(session);
+
+        return await prisma.uploadSession.update({
+            where: { id: sessionId },
+            data: { status: "ABORTED" },
+        });
+    } catch (error) {
+        logger.error(`Error aborting upload session ${sessionId}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Mark pending sessions past their expiry as expired and discard their uploaded data.
+ * Sessions left completing by a crashed server are discarded the same way.
+ */
+export const cleanupExpiredUploadSessions = async () => {
+    try {
+        const sessions = await prisma.uploadSession.findMany({
+            where: {
+                status: { in: ["PENDING", "COMPLETING"] },
+                expiresAt: { lt: new Date() },
+            },
+        });
+
+        for (const session of sessions) {
+            try {
+                await releaseSessionObject(session);
+            } catch (error) {
+                // The multipart upload may already be gone, the session is expired either way
+                logger.warn(`Failed to release S3 data of expired upload session ${session.id}: ${error.message}`);
+            }
+
+            await prisma.uploadSession.update({
+                where: { id: session.id },
+                data: { status: "EXPIRED" },
+            });
+        }
+
+        if (sessions.length > 0) {
+            logger.info(`Expired ${sessions.length} upload sessions`);
+        }
+
+        return { success: true, count: sessions.length };
+    } catch (error) {
+        logger.error("Error cleaning up expired upload sessions:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Run the upload session cleanup now and then periodically
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+export const startUploadCleanupJob = () => {
+    const intervalHours = parseFloat(process.env.UPLOAD_CLEANUP_INTERVAL_HOURS) || 1;
+
+    cleanupExpiredUploadSessions();
+
+    const interval = setInterval(cleanupExpiredUploadSessions, intervalHours * 60 * 60 * 1000);
+    interval.unref();
+
+    return interval;
+};
+
+export default {
+    createUploadSession,
+    completeUploadSession,
+    uploadSessionPart,
+    getUploadSessionStatus,
+    abortUploadSession,
+    cleanupExpiredUploadSessions,
+    startUploadCleanupJob,
+};
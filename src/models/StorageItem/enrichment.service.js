@@ -1,12 +1,18 @@
-import { getStorageItemById } from "./storageItem.service.js";
 import { createFace } from "../Person/Face/face.service.js";
 import { createMediaMeta } from "./MediaMeta/mediaMeta.service.js";
+import { upsertGeoMeta } from "./GeoMeta/geoMeta.service.js";
+import { assignStorageItemPlaces } from "../Place/place.service.js";
+import { refreshSearchDocument } from "../Search/search.service.js";
 import prisma from "../../lib/prisma.js";
 import logger from "../../lib/logger.js";
 
 export const processEnrichment = async (storageItemId, enrichmentData) => {
     try {
-        const storageItem = await getStorageItemById(storageItemId);
+        // Trashed items still receive enrichment so they are complete if restored
+        const storageItem = await prisma.storageItem.findUnique({
+            where: { id: storageItemId },
+            select: { id: true },
+        });
 
         if (!storageItem) {
             return { success: false, message: "Storage item not found" };
@@ -39,6 +45,18 @@ export const processEnrichment = async (storageItemId, enrichmentData) => {
                     await createMediaMeta(meta, storageItemId);
                 })
             );
+
+            // Keep the item's location in sync with GEO results, one at a time since they share a row
+            const geoMetas = mediaMeta.filter((meta) => meta.type === "GEO" && meta.payload);
+            for (const meta of geoMetas) {
+                await upsertGeoMeta(storageItemId, meta.payload, "ENRICHMENT");
+            }
+
+            if (geoMetas.length > 0) {
+                await assignStorageItemPlaces(storageItemId).catch((error) =>
+                    logger.warn(`Could not assign places to storage item ${storageItemId}: ${error.message}`)
+                );
+            }
             hasUpdates = true;
         }
 
@@ -56,6 +74,12 @@ export const processEnrichment = async (storageItemId, enrichmentData) => {
                 where: { id: storageItemId },
                 data: { processedAt: new Date() },
             });
+
+            // Make the new OCR text, transcripts and labels searchable. Failures are logged and
+            // must not fail the enrichment callback, since its data is already saved.
+            await refreshSearchDocument(storageItemId).catch((error) =>
+                logger.warn(`Could not refresh the search document of storage item ${storageItemId}: ${error.message}`)
+            );
         }
 
         return {
@@ -1,12 +1,62 @@
 import {
     createStorageItem,
+    createStorageItems,
     getStorageItemById,
+    getStorageItemOriginal,
     getStorageItems,
+    getDuplicateGroups,
     deleteStorageItem,
     createNonFileStorageItem,
+    updateNonFileStorageItem,
 } from "./storageItem.service.js";
-import { successResponse, errorResponse, NotFoundError, BadRequestError } from "../../lib/helpers.js";
+import { successResponse, errorResponse, NotFoundError, BadRequestError, isValidDate } from "../../lib/helpers.js";
 import logger from "../../lib/logger.js";
+import { extractCoordinates } from "../../lib/geoUtils.js";
+
+/**
+ * Read the optional client-supplied capture time of an item
+ */
+const parseCapturedAt = (capturedAt) => {
+    if (capturedAt === undefined || capturedAt === null || capturedAt === "") return undefined;
+
+    if (!isValidDate(capturedAt)) {
+        throw new BadRequestError("Invalid capturedAt");
+    }
+
+    return new Date(capturedAt);
+};
+
+/**
+ * Validate the content and metadata of a non-file item: event dates and the list of attendees
+ */
+const validateItemContent = (content, metadata) => {
+    if (metadata !== undefined && metadata !== null && (typeof metadata !== "object" || Array.isArray(metadata))) {
+        throw new BadRequestError("metadata must be an object");
+    }
+
+    if (content !== undefined && content !== null && typeof content !== "string" && (typeof content !== "object" || Array.isArray(content))) {
+        throw new BadRequestError("content must be a string or an object");
+    }
+
+    for (const details of [content, metadata]) {
+        if (!details || typeof details !== "object") continue;
+
+        for (const field of ["startDate", "endDate", "start", "end"]) {
+            if (details[field] && !isValidDate(details[field])) {
+                throw new BadRequestError(`Invalid ${field}`);
+            }
+        }
+
+        const { attendees } = details;
+        if (
+            attendees !== undefined &&
+            attendees !== null &&
+            (!Array.isArray(attendees) || attendees.some((attendee) => typeof attendee !== "string"))
+        ) {
+            throw new BadRequestError("attendees must be an array of strings");
+        }
+    }
+};
 
 export const uploadStorageItem = async (req, res, next) => {
     try {
@@ -16,15 +66,47 @@ export const uploadStorageItem = async (req, res, next) => {
 
         const userId = req.user.id;
 
-        const storageItem = await createStorageItem(req.file.buffer, req.file, userId);
+        const storageItem = await createStorageItem(req.file.buffer, req.file, userId, {
+            capturedAt: parseCapturedAt(req.body?.capturedAt),
+        });
 
-        return res.status(201).json(successResponse("Storage item created successfully", { storageItem }, 201));
+        if (storageItem.duplicate) {
+            return res.status(200).json(successResponse("Storage item already exists", { storageItem, duplicate: true }));
+        }
+
+        return res.status(201).json(successResponse("Storage item created successfully", { storageItem, duplicate: false }, 201));
     } catch (error) {
         logger.error("Error uploading storage item:", error);
         next(error);
     }
 };
 
+export const uploadStorageItems = async (req, res, next) => {
+    try {
+        const rejectedFiles = req.rejectedFiles || [];
+
+        if ((!req.files || req.files.length === 0) && rejectedFiles.length === 0) {
+            throw new BadRequestError("No files uploaded. Send the files in the \"files\" field.");
+        }
+
+        const concurrency = parseInt(process.env.BULK_UPLOAD_CONCURRENCY) || 3;
+
+        const result = await createStorageItems(req.files || [], req.user.id, concurrency, rejectedFiles);
+
+        // 207 Multi-Status when at least one file failed
+        const statusCode = result.summary.failed === 0 ? 201 : 207;
+        const message =
+            result.summary.failed === 0
+                ? "Storage items created successfully"
+                : `${result.summary.succeeded} of ${result.summary.total} files uploaded successfully`;
+
+        return res.status(statusCode).json(successResponse(message, result, statusCode));
+    } catch (error) {
+        logger.error("Error uploading storage items:", error);
+        next(error);
+    }
+};
+
 export const getStorageItem = async (req, res, next) => {
     try {
         const { id } = req.params;
@@ -45,21 +127,52 @@ export const getStorageItem = async (req, res, next) => {
     }
 };
 
+/**
+ * Get a download URL for the file of an item as it was uploaded
+ */
+export const downloadOriginal = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const original = await getStorageItemOriginal(id, req.user.id);
+
+        if (!original) {
+            throw new NotFoundError(`Storage item with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Original file retrieved successfully", original));
+    } catch (error) {
+        logger.error(`Error retrieving original of storage item ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
 export const getAllStorageItems = async (req, res, next) => {
     try {
-        const { page, limit, type, source, startDate, endDate, keyword } = req.query;
+        const { page, limit, cursor, type, source, startDate, endDate, keyword, placeId, q } = req.query;
+
+        if (startDate && !isValidDate(startDate)) {
+            throw new BadRequestError("Invalid startDate");
+        }
+
+        if (endDate && !isValidDate(endDate)) {
+            throw new BadRequestError("Invalid endDate");
+        }
 
         const userId = req.user.id;
 
         const result = await getStorageItems({
             page: page ? parseInt(page) : undefined,
             limit: limit ? parseInt(limit) : undefined,
+            cursor,
             type,
             userId,
             source,
             startDate,
             endDate,
             keyword,
+            placeId,
+            query: q,
         });
 
         return res.status(200).json(successResponse("Storage items retrieved successfully", result));
@@ -69,6 +182,22 @@ export const getAllStorageItems = async (req, res, next) => {
     }
 };
 
+export const getDuplicateStorageItems = async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+
+        const result = await getDuplicateGroups(req.user.id, {
+            page: page ? parseInt(page) : undefined,
+            limit: limit ? parseInt(limit) : undefined,
+        });
+
+        return res.status(200).json(successResponse("Duplicate storage items retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving duplicate storage items:", error);
+        next(error);
+    }
+};
+
 export const removeStorageItem = async (req, res, next) => {
     try {
         const { id } = req.params;
@@ -83,7 +212,7 @@ export const removeStorageItem = async (req, res, next) => {
             return res.status(403).json(errorResponse(result.message, 403));
         }
 
-        return res.status(200).json(successResponse("Storage item deleted successfully"));
+        return res.status(200).json(successResponse("Storage item moved to trash"));
     } catch (error) {
         next(error);
     }
@@ -91,7 +220,7 @@ export const removeStorageItem = async (req, res, next) => {
 
 export const createNonFileItem = async (req, res, next) => {
     try {
-        const { type, title, content, url, metadata } = req.body;
+        const { type, title, content, url, metadata, capturedAt } = req.body;
 
         if (!type) {
             throw new BadRequestError("Item type is required");
@@ -114,7 +243,7 @@ export const createNonFileItem = async (req, res, next) => {
                 }
                 break;
             case "LOCATION":
-                if (!metadata || !metadata.lat || !metadata.lng) {
+                if (!extractCoordinates(metadata)) {
                     throw new BadRequestError("Location metadata (lat, lng) is required for LOCATION items");
                 }
                 break;
@@ -130,6 +259,8 @@ export const createNonFileItem = async (req, res, next) => {
                 break;
         }
 
+        validateItemContent(content, metadata);
+
         const userId = req.user.id;
 
         const itemData = {
@@ -138,6 +269,7 @@ export const createNonFileItem = async (req, res, next) => {
             content,
             url,
             metadata: metadata || {},
+            capturedAt: parseCapturedAt(capturedAt),
             userId,
         };
 
@@ -150,10 +282,46 @@ export const createNonFileItem = async (req, res, next) => {
     }
 };
 
+/**
+ * Edit the title and content of a note, event or other non-file item
+ */
+export const editStorageItem = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { title, content, metadata, capturedAt } = req.body;
+
+        if (title !== undefined && title !== null && typeof title !== "string") {
+            throw new BadRequestError("title must be a string");
+        }
+
+        validateItemContent(content, metadata);
+
+        const storageItem = await updateNonFileStorageItem(id, req.user.id, {
+            title,
+            content,
+            metadata,
+            capturedAt: parseCapturedAt(capturedAt),
+        });
+
+        if (!storageItem) {
+            throw new NotFoundError(`Storage item with ID ${id} not found`);
+        }
+
+        return res.status(200).json(successResponse("Storage item updated successfully", { storageItem }));
+    } catch (error) {
+        logger.error(`Error updating storage item ${req.params.id}:`, error);
+        next(error);
+    }
+};
+
 export default {
     uploadStorageItem,
+    uploadStorageItems,
     getStorageItem,
+    downloadOriginal,
     getAllStorageItems,
+    getDuplicateStorageItems,
     removeStorageItem,
     createNonFileItem,
+    editStorageItem,
 };
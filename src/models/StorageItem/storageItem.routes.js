@@ -1,7 +1,23 @@
 import express from "express";
-import { uploadStorageItem, getStorageItem, getAllStorageItems, removeStorageItem, createNonFileItem } from "./storageItem.controller.js";
+import {
+    uploadStorageItem,
+    uploadStorageItems,
+    getStorageItem,
+    downloadOriginal,
+    getAllStorageItems,
+    getDuplicateStorageItems,
+    removeStorageItem,
+    createNonFileItem,
+    editStorageItem,
+} from "./storageItem.controller.js";
+import { initiateUpload, completeUpload, uploadPart, getUploadStatus, abortUpload } from "./Upload/upload.controller.js";
+import { MAX_PART_SIZE } from "./Upload/upload.service.js";
+import { getSimilarStorageItems, getNearDuplicateStorageItems } from "./Similarity/similarity.controller.js";
+import { getStorageItemsNear, getStorageItemsWithin, getStorageItemClusters } from "./GeoMeta/geoSearch.controller.js";
+import { getStorageItemPage } from "./Document/documentPage.controller.js";
+import { getStorageItemImage } from "./Rendition/rendition.controller.js";
 import { authenticate } from "../../lib/middleware/authenticate.js";
-import { uploadSingle } from "../../lib/middleware/upload.js";
+import { uploadSingle, uploadMultiple } from "../../lib/middleware/upload.js";
 
 const router = express.Router();
 
@@ -9,10 +25,27 @@ const router = express.Router();
 router.use(authenticate);
 
 router.post("/file", uploadSingle("file"), uploadStorageItem);
+router.post("/files", uploadMultiple("files", parseInt(process.env.BULK_UPLOAD_MAX_FILES) || 20), uploadStorageItems);
 router.post("/item", createNonFileItem);
 
+router.post("/uploads", initiateUpload);
+router.get("/uploads/:id", getUploadStatus);
+router.put("/uploads/:id/parts/:partNumber", express.raw({ type: "*/*", limit: MAX_PART_SIZE }), uploadPart);
+router.post("/uploads/:id/complete", completeUpload);
+router.delete("/uploads/:id", abortUpload);
+
 router.get("/", getAllStorageItems);
+router.get("/duplicates", getDuplicateStorageItems);
+router.get("/near-duplicates", getNearDuplicateStorageItems);
+router.get("/near", getStorageItemsNear);
+router.get("/within", getStorageItemsWithin);
+router.get("/clusters", getStorageItemClusters);
 router.get("/:id", getStorageItem);
+router.get("/:id/similar", getSimilarStorageItems);
+router.get("/:id/pages/:pageNumber", getStorageItemPage);
+router.get("/:id/image", getStorageItemImage);
+router.get("/:id/original", downloadOriginal);
+router.patch("/:id", editStorageItem);
 
 router.delete("/:id", removeStorageItem);
 
@@ -1,23 +1,192 @@
 import prisma from "../../lib/prisma.js";
 import logger from "../../lib/logger.js";
-import { uploadFile, deleteFile, extractKeyFromUri, replaceWithPresignedUrls } from "../../lib/s3Service.js";
-import { generateThumbnail, processImageFormat } from "../../lib/imageMetadataService.js";
+import { uploadFile, deleteFile, extractKeyFromUri, replaceWithPresignedUrls, getPresignedDownloadUrl } from "../../lib/s3Service.js";
+import { generateThumbnail, processImageFormat, computePerceptualHash, extractExifMetadata } from "../../lib/imageMetadataService.js";
 import { publishEnrichmentEvent } from "../../lib/eventBridgeClient.js";
 import { StorageItemTypes } from "../../enums/storageItemTypes.js";
 import { cleanupOrphanedPeople } from "../Person/cleanup.service.js";
+import { mapWithConcurrency } from "../../lib/concurrency.js";
+import { computeContentHash } from "../../lib/contentHash.js";
+import { extractVideoCreationTime } from "../../lib/videoMetadataService.js";
+import { processVideo } from "../../lib/videoPreviewService.js";
+import { processAudio } from "../../lib/audioWaveformService.js";
+import { isPreviewableDocument, processDocument } from "../../lib/documentPreviewService.js";
+import { isCameraImage, convertCameraImage } from "../../lib/cameraImageService.js";
+import { findPageByCursor } from "../../lib/pagination.js";
+import { refreshSearchDocument } from "../Search/search.service.js";
+import { parseStorageQuery } from "./Query/queryParser.js";
+import { BadRequestError, NotFoundError } from "../../lib/helpers.js";
+import { toGeoMetaData, upsertGeoMeta, withinBoundsCondition } from "./GeoMeta/geoMeta.service.js";
+import { assignStorageItemPlaces } from "../Place/place.service.js";
+import { createUploadRenditions } from "./Rendition/rendition.service.js";
+import { assignSimilarityGroup } from "./Similarity/similarity.service.js";
+
+// Item types backed by a file in S3
+const FILE_TYPES = [StorageItemTypes.PHOTO, StorageItemTypes.VIDEO, StorageItemTypes.AUDIO, StorageItemTypes.DOCUMENT];
+
+// The renditions generated on upload, returned with items so clients can pick the size they display
+const namedRenditionsInclude = {
+    where: { name: { not: null } },
+    select: { name: true, format: true, width: true, height: true, uri: true },
+    orderBy: [{ width: "asc" }, { format: "asc" }],
+};
+
+/**
+ * Find an existing, non-trashed item of the user with the same content
+ */
+export const findDuplicateItem = async (userId, contentHash) => {
+    return prisma.storageItem.findFirst({
+        where: { userId, contentHash, deletedAt: null },
+        orderBy: { createdAt: "asc" },
+    });
+};
+
+/**
+ * Render the poster frame and animated preview of a video and upload them to the thumbnails folder.
+ * Videos ffmpeg cannot process are stored without them rather than failing the upload.
+ * @param {Buffer|string} input - The video content, or a URL ffmpeg can read it from
+ * @returns {Promise<{thumbnail: string|undefined, preview: string|undefined, video: Object|null}>} The S3 URLs and video metadata
+ */
+export const createVideoPreviews = async (input, fileName) => {
+    const { metadata, poster, preview } = await processVideo(input).catch((error) => {
+        logger.warn(`Could not process video ${fileName}: ${error.message}`);
+        return {};
+    });
+
+    const baseName = fileName.split(".").slice(0, -1).join(".") || fileName;
+    let thumbnailResult;
+    let previewResult;
+
+    if (poster) {
+        const thumbnail = await generateThumbnail(poster);
+        thumbnailResult = await uploadFile(thumbnail, `thumb_${baseName}.jpg`, "image/jpeg", "thumbnails");
+    }
+
+    if (preview) {
+        previewResult = await uploadFile(preview, `preview_${baseName}.mp4`, "video/mp4", "thumbnails");
+    }
+
+    return { thumbnail: thumbnailResult?.url, preview: previewResult?.url, video: metadata || null };
+};
+
+/**
+ * Compute the waveform of an audio file and upload its PNG rendering and peaks JSON to the thumbnails folder.
+ * Audio ffmpeg cannot decode is stored without them rather than failing the upload.
+ * @param {Buffer|string} input - The audio content, or a URL ffmpeg can read it from
+ * @returns {Promise<{thumbnail: string|undefined, peaks: string|undefined, audio: Object|null}>} The S3 URLs and audio metadata
+ */
+export const createAudioWaveform = async (input, fileName) => {
+    const { metadata, peaks, waveform } = await processAudio(input).catch((error) => {
+        logger.warn(`Could not process audio ${fileName}: ${error.message}`);
+        return {};
+    });
+
+    const baseName = fileName.split(".").slice(0, -1).join(".") || fileName;
+    let thumbnailResult;
+    let peaksResult;
+
+    if (waveform) {
+        thumbnailResult = await uploadFile(waveform, `thumb_${baseName}.png`, "image/png", "thumbnails");
+    }
+
+    if (peaks) {
+        peaksResult = await uploadFile(Buffer.from(JSON.stringify(peaks)), `peaks_${baseName}.json`, "application/json", "thumbnails");
+    }
+
+    return { thumbnail: thumbnailResult?.url, peaks: peaksResult?.url, audio: metadata || null };
+};
+
+/**
+ * Render the pages of a PDF or Office document and upload them, with a thumbnail of the first page.
+ * Documents that can't be rendered are stored without previews rather than failing the upload.
+ * @returns {Promise<{thumbnail: string|undefined, pages: Object[], document: Object|null}>} The S3 URLs, page rows and document metadata
+ */
+export const createDocumentPreviews = async (buffer, fileName, mimeType) => {
+    if (!isPreviewableDocument(mimeType, buffer.length)) {
+        return { thumbnail: undefined, pages: [], document: null };
+    }
+
+    const { metadata, pages = [] } = await processDocument(buffer, mimeType).catch((error) => {
+        logger.warn(`Could not process document ${fileName}: ${error.message}`);
+        return {};
+    });
+
+    const baseName = fileName.split(".").slice(0, -1).join(".") || fileName;
+    const uploadedPages = [];
+    let thumbnailResult;
+
+    for (const { pageNumber, image, width, height } of pages) {
+        const pageResult = await uploadFile(image, `page_${baseName}.jpg`, "image/jpeg", "pages");
+        uploadedPages.push({ pageNumber, uri: pageResult.url, width, height });
+    }
 
-export const createStorageItem = async (buffer, fileInfo, userId) => {
+    if (pages.length > 0) {
+        const thumbnail = await generateThumbnail(pages[0].image);
+        thumbnailResult = await uploadFile(thumbnail, `thumb_${baseName}.jpg`, "image/jpeg", "thumbnails");
+    }
+
+    return { thumbnail: thumbnailResult?.url, pages: uploadedPages, document: metadata || null };
+};
+
+/**
+ * Convert a HEIF or RAW photo to the JPEG it is displayed as, rejecting files that can't be decoded
+ */
+export const decodeCameraImage = async (buffer, mimeType, fileName) => {
+    try {
+        return await convertCameraImage(buffer, mimeType);
+    } catch (error) {
+        logger.warn(`Could not convert ${fileName}: ${error.message}`);
+        throw new BadRequestError(`Could not decode the photo ${fileName}`);
+    }
+};
+
+/**
+ * Upload a file and record it as a storage item.
+ * When the user already has a file with the same content, the existing item is returned with `duplicate: true`.
+ * @param {Object} options - `capturedAt` supplied by the client, which takes precedence over the file's own metadata
+ */
+export const createStorageItem = async (buffer, fileInfo, userId, options = {}) => {
     try {
         const { originalname, mimetype, size } = fileInfo;
 
+        const contentHash = computeContentHash(buffer);
+        const existingItem = await findDuplicateItem(userId, contentHash);
+
+        if (existingItem) {
+            logger.info(`Skipped duplicate upload of ${originalname}, matches item ${existingItem.id}`);
+            return { ...existingItem, duplicate: true };
+        }
+
         const type = determineItemType(mimetype);
 
         let s3Result;
+        let originalResult;
+        let displayMimeType = mimetype;
         let thumbnailResult;
+        let renditions;
+        let videoPreviews;
+        let audioWaveform;
+        let documentPreviews;
+        let perceptualHash;
+        let exif;
+        let embeddedCapturedAt;
 
         if (type === StorageItemTypes.PHOTO) {
+            // Read EXIF before format conversion strips it
+            exif = await extractExifMetadata(buffer).catch(() => null);
+            embeddedCapturedAt = exif?.capturedAt;
+
+            // HEIF and RAW photos are decoded to JPEG first
+            const displayBuffer = isCameraImage(mimetype) ? await decodeCameraImage(buffer, mimetype, originalname) : buffer;
+
             // Process image format if it's a photo
-            const { buffer: processedBuffer, format, contentType } = await processImageFormat(buffer);
+            const { buffer: processedBuffer, format, contentType } = await processImageFormat(displayBuffer);
+            displayMimeType = contentType;
+
+            // Converted photos keep their untouched original, e.g. the frames of an animated GIF, next to the display copy
+            if (processedBuffer !== buffer) {
+                originalResult = await uploadFile(buffer, originalname, mimetype, "originals");
+            }
 
             // Create a new filename with the correct extension
             const processedName = originalname.split(".").slice(0, -1).join(".") + "." + format;
@@ -28,64 +197,217 @@ export const createStorageItem = async (buffer, fileInfo, userId) => {
             // Generate thumbnail from the processed buffer
             const thumbnail = await generateThumbnail(processedBuffer);
             thumbnailResult = await uploadFile(thumbnail, `thumb_${processedName}`, contentType, "thumbnails");
+
+            renditions = await createUploadRenditions(processedBuffer, processedName, format);
+
+            // A missing perceptual hash only excludes the photo from similarity search
+            perceptualHash = await computePerceptualHash(processedBuffer).catch(() => null);
         } else {
             // For non-photo files, use the original approach
             s3Result = await uploadFile(buffer, originalname, mimetype, type.toLowerCase());
 
-            if (type === StorageItemTypes.PHOTO) {
-                const thumbnail = await generateThumbnail(buffer);
-                thumbnailResult = await uploadFile(thumbnail, `thumb_${originalname}`, mimetype, "thumbnails");
+            if (type === StorageItemTypes.VIDEO) {
+                videoPreviews = await createVideoPreviews(buffer, originalname);
+                embeddedCapturedAt = extractVideoCreationTime(buffer) || videoPreviews.video?.capturedAt;
             }
-        }
 
-        const storageItem = await prisma.storageItem.create({
-            data: {
-                uri: s3Result.url,
-                fileName: originalname,
-                thumbnail: thumbnailResult?.url,
-                fileSize: size,
-                mimeType: mimetype,
-                type,
-                source: "MANUAL",
-                collectorType: "MANUAL",
-                userId,
-                processedAt: null,
-            },
-        });
-
-        const fileTypes = [StorageItemTypes.PHOTO, StorageItemTypes.VIDEO, StorageItemTypes.AUDIO, StorageItemTypes.DOCUMENT];
-        if (fileTypes.includes(type)) {
-            const mediaType = type.toLowerCase();
-
-            try {
-                const publishResult = await publishEnrichmentEvent(storageItem.id, userId, mediaType, s3Result.bucket, s3Result.key, {
-                    mimeType: mimetype,
-                    fileName: originalname,
-                    fileSize: size,
-                });
+            if (type === StorageItemTypes.AUDIO) {
+                audioWaveform = await createAudioWaveform(buffer, originalname);
+            }
 
-                if (publishResult) {
-                    logger.info(`Queued item ${storageItem.id} for enrichment processing via EventBridge`);
-                } else {
-                    logger.warn(`Failed to queue enrichment for item ${storageItem.id}`);
-                }
-            } catch (err) {
-                // Don't fail the upload if the enrichment job fails to queue
-                logger.error(`Failed to queue enrichment job for item ${storageItem.id}:`, err);
+            if (type === StorageItemTypes.DOCUMENT) {
+                documentPreviews = await createDocumentPreviews(buffer, originalname, mimetype);
             }
         }
 
-        return storageItem;
+        const storageItem = await saveStorageItem({
+            uri: s3Result.url,
+            bucket: s3Result.bucket,
+            key: s3Result.key,
+            thumbnail: thumbnailResult?.url || videoPreviews?.thumbnail || audioWaveform?.thumbnail || documentPreviews?.thumbnail,
+            preview: videoPreviews?.preview,
+            peaks: audioWaveform?.peaks,
+            pages: documentPreviews?.pages,
+            renditions,
+            original: originalResult?.url,
+            originalMimeType: originalResult ? mimetype : undefined,
+            fileName: originalname,
+            fileSize: size,
+            mimeType: displayMimeType,
+            contentHash,
+            perceptualHash,
+            exif,
+            video: videoPreviews?.video,
+            audio: audioWaveform?.audio,
+            document: documentPreviews?.document,
+            capturedAt: options.capturedAt || embeddedCapturedAt,
+            type,
+            userId,
+        });
+
+        return { ...storageItem, duplicate: false };
     } catch (error) {
         logger.error("Error creating storage item:", error);
         throw error;
     }
 };
 
+/**
+ * Build the MediaMeta rows for the EXIF data of an uploaded photo and the extracted metadata of a video, audio file or document
+ */
+const uploadMediaMeta = (exif, video, audio, document) => {
+    const rows = [];
+    if (exif?.capture) rows.push({ type: "CAPTURE", payload: exif.capture });
+    if (exif?.geo) rows.push({ type: "GEO", payload: exif.geo });
+    if (video) rows.push({ type: "VIDEO", payload: video });
+    if (audio) rows.push({ type: "AUDIO", payload: audio });
+    if (document) rows.push({ type: "DOCUMENT", payload: document });
+    return rows;
+};
+
+/**
+ * Record an uploaded file as a storage item and queue it for enrichment.
+ * Items without a known capture time are placed on the timeline at their upload time.
+ */
+export const saveStorageItem = async ({
+    uri,
+    bucket,
+    key,
+    thumbnail,
+    preview,
+    peaks,
+    pages,
+    renditions,
+    original,
+    originalMimeType,
+    fileName,
+    fileSize,
+    mimeType,
+    contentHash,
+    perceptualHash,
+    exif,
+    video,
+    audio,
+    document,
+    capturedAt,
+    type,
+    userId,
+}) => {
+    const mediaMeta = uploadMediaMeta(exif, video, audio, document);
+    const geoMeta = exif?.geo ? toGeoMetaData(exif.geo, "EXIF") : null;
+
+    const storageItem = await prisma.storageItem.create({
+        data: {
+            uri,
+            fileName,
+            thumbnail,
+            preview,
+            peaks,
+            original,
+            originalMimeType,
+            fileSize,
+            mimeType,
+            contentHash,
+            perceptualHash,
+            type,
+            source: "MANUAL",
+            collectorType: "MANUAL",
+            userId,
+            processedAt: null,
+            capturedAt: capturedAt || new Date(),
+            ...(mediaMeta.length > 0 && { mediaMeta: { create: mediaMeta } }),
+            ...(geoMeta && { geoMeta: { create: geoMeta } }),
+            ...(pages?.length > 0 && { pages: { create: pages } }),
+            ...(renditions?.length > 0 && { renditions: { create: renditions } }),
+        },
+    });
+
+    // The item stays usable without a search document; enrichment rebuilds it later
+    await refreshSearchDocument(storageItem.id).catch((error) =>
+        logger.warn(`Could not refresh the search document of storage item ${storageItem.id}: ${error.message}`)
+    );
+
+    if (geoMeta) {
+        await assignStorageItemPlaces(storageItem.id).catch((error) =>
+            logger.warn(`Could not assign places to storage item ${storageItem.id}: ${error.message}`)
+        );
+    }
+
+    // Photos left ungrouped are grouped by the perceptual hash backfill
+    if (perceptualHash) {
+        await assignSimilarityGroup(storageItem).catch((error) =>
+            logger.warn(`Could not assign a similarity group to storage item ${storageItem.id}: ${error.message}`)
+        );
+    }
+
+    if (FILE_TYPES.includes(type)) {
+        const mediaType = type.toLowerCase();
+
+        try {
+            const publishResult = await publishEnrichmentEvent(storageItem.id, userId, mediaType, bucket, key, {
+                mimeType,
+                fileName,
+                fileSize,
+            });
+
+            if (publishResult) {
+                logger.info(`Queued item ${storageItem.id} for enrichment processing via EventBridge`);
+            } else {
+                logger.warn(`Failed to queue enrichment for item ${storageItem.id}`);
+            }
+        } catch (err) {
+            // Don't fail the upload if the enrichment job fails to queue
+            logger.error(`Failed to queue enrichment job for item ${storageItem.id}:`, err);
+        }
+    }
+
+    return storageItem;
+};
+
+/**
+ * Create storage items for several uploaded files with bounded concurrency.
+ * A failing file does not fail the batch; its error is reported in its result entry.
+ * @param {Array<{fileName: string, error: string}>} rejectedFiles - Files refused before processing, reported as failed
+ */
+export const createStorageItems = async (files, userId, concurrency = 3, rejectedFiles = []) => {
+    const results = await mapWithConcurrency(files, concurrency, async (file) => {
+        try {
+            const storageItem = await createStorageItem(file.buffer, file, userId);
+            return { fileName: file.originalname, success: true, storageItem };
+        } catch (error) {
+            logger.error(`Error creating storage item for file ${file.originalname}:`, error);
+            return {
+                fileName: file.originalname,
+                success: false,
+                error: error.message || "Failed to process file",
+                statusCode: error.statusCode || 500,
+            };
+        }
+    });
+
+    results.push(...rejectedFiles.map(({ fileName, error }) => ({ fileName, success: false, error, statusCode: 400 })));
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    return {
+        results,
+        summary: {
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded,
+        },
+    };
+};
+
+/**
+ * Order items by capture time, falling back to upload time for items not yet backfilled
+ */
+export const timelineOrder = (direction) => [{ capturedAt: { sort: direction, nulls: "last" } }, { createdAt: direction }];
+
 export const getStorageItemById = async (id) => {
     try {
-        const item = await prisma.storageItem.findUnique({
-            where: { id },
+        const item = await prisma.storageItem.findFirst({
+            where: { id, deletedAt: null },
             include: {
                 mediaMeta: true,
                 face: {
@@ -98,6 +420,14 @@ export const getStorageItemById = async (id) => {
                     },
                 },
                 socialMetas: true,
+                content: true,
+                geoMeta: true,
+                places: {
+                    include: {
+                        place: { select: { id: true, name: true } },
+                    },
+                },
+                renditions: namedRenditionsInclude,
             },
         });
 
@@ -110,13 +440,60 @@ export const getStorageItemById = async (id) => {
     }
 };
 
+// The formats photos are displayed in; photos uploaded in another format are converted
+const DISPLAY_IMAGE_TYPES = ["image/jpeg", "image/png"];
+
+/**
+ * Get a presigned URL downloading the file of an item as it was uploaded, under its original file name.
+ * Converted photos have their original stored separately; other files are stored as uploaded.
+ * Photos converted before originals were kept still have the uploaded type but only their display copy, which is not served.
+ * @returns {Promise<Object|null>} The download URL, or null when the item is not found
+ */
+export const getStorageItemOriginal = async (id, userId) => {
+    try {
+        const item = await prisma.storageItem.findFirst({
+            where: { id, userId, deletedAt: null },
+            select: { type: true, uri: true, original: true, originalMimeType: true, fileName: true, mimeType: true },
+        });
+
+        if (!item) return null;
+
+        if (!FILE_TYPES.includes(item.type)) {
+            throw new BadRequestError("Only file items have an original");
+        }
+
+        if (!item.original && item.type === StorageItemTypes.PHOTO && !DISPLAY_IMAGE_TYPES.includes(item.mimeType)) {
+            throw new NotFoundError("The original of this photo was not retained, only its converted copy is stored");
+        }
+
+        const expiresIn = 3600;
+        const url = await getPresignedDownloadUrl(extractKeyFromUri(item.original || item.uri), item.fileName, item.originalMimeType, expiresIn);
+
+        return {
+            url,
+            fileName: item.fileName,
+            mimeType: item.originalMimeType || item.mimeType,
+            expiresIn,
+        };
+    } catch (error) {
+        logger.error(`Error getting original of storage item ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * List storage items, newest capture first.
+ * Passing a `cursor` (an empty string for the first page) switches from page/limit to cursor pagination.
+ * A structured `query` like `type:PHOTO person:"Alice" after:2023-06` narrows the other filters further,
+ * `bounds` keeps only items located inside a bounding box and `placeId` only items inside one of the user's named places.
+ */
 export const getStorageItems = async (options = {}) => {
     try {
-        const { page = 1, limit = 20, type, userId, source, startDate, endDate, keyword, personId } = options;
+        const { page = 1, limit = 20, cursor, type, userId, source, startDate, endDate, keyword, personId, placeId, query, bounds } = options;
 
         const skip = (page - 1) * limit;
 
-        const where = {};
+        const where = { deletedAt: null };
 
         if (type) where.type = type;
         if (userId) where.userId = userId;
@@ -132,10 +509,15 @@ export const getStorageItems = async (options = {}) => {
             };
         }
 
+        if (placeId) {
+            where.places = { some: { placeId } };
+        }
+
+        // Dates refer to when the content was captured, not when it was uploaded
         if (startDate || endDate) {
-            where.createdAt = {};
-            if (startDate) where.createdAt.gte = new Date(startDate);
-            if (endDate) where.createdAt.lte = new Date(endDate);
+            where.capturedAt = {};
+            if (startDate) where.capturedAt.gte = new Date(startDate);
+            if (endDate) where.capturedAt.lte = new Date(endDate);
         }
 
         // Enhanced keyword search for both file and non-file items
@@ -143,15 +525,38 @@ export const getStorageItems = async (options = {}) => {
             where.OR = [{ fileName: { contains: keyword, mode: "insensitive" } }, { uri: { contains: keyword, mode: "insensitive" } }];
         }
 
+        const conditions = [];
+        if (query) conditions.push(...parseStorageQuery(query).AND);
+        if (bounds) conditions.push(withinBoundsCondition(bounds));
+        if (conditions.length > 0) where.AND = conditions;
+
+        if (cursor !== undefined) {
+            const { items, nextCursor, prevCursor } = await findPageByCursor(prisma.storageItem, {
+                where,
+                field: "capturedAt",
+                sort: "desc",
+                isDate: true,
+                cursor,
+                limit,
+                include: { people: true, renditions: namedRenditionsInclude },
+            });
+
+            return {
+                items: await Promise.all(items.map((item) => replaceWithPresignedUrls(item))),
+                metadata: { limit, nextCursor, prevCursor },
+            };
+        }
+
         const totalCount = await prisma.storageItem.count({ where });
 
         const items = await prisma.storageItem.findMany({
             where,
             skip,
             take: limit,
-            orderBy: { createdAt: "desc" },
+            orderBy: timelineOrder("desc"),
             include: {
                 people: true,
+                renditions: namedRenditionsInclude,
             },
         });
 
@@ -173,7 +578,93 @@ export const getStorageItems = async (options = {}) => {
     }
 };
 
+/**
+ * Get groups of the user's items that share the same content hash
+ */
+export const getDuplicateGroups = async (userId, options = {}) => {
+    try {
+        const { page = 1, limit = 20 } = options;
+
+        const skip = (page - 1) * limit;
+        const where = { userId, deletedAt: null, contentHash: { not: null } };
+
+        const allGroups = await prisma.storageItem.groupBy({
+            by: ["contentHash"],
+            where,
+            having: {
+                contentHash: { _count: { gt: 1 } },
+            },
+            _count: { _all: true },
+            orderBy: { contentHash: "asc" },
+        });
+
+        const pageGroups = allGroups.slice(skip, skip + limit);
+
+        const items = await prisma.storageItem.findMany({
+            where: {
+                ...where,
+                contentHash: { in: pageGroups.map((group) => group.contentHash) },
+            },
+            orderBy: { createdAt: "asc" },
+        });
+
+        const itemsWithPresignedUrls = await Promise.all(items.map((item) => replaceWithPresignedUrls(item)));
+
+        const groups = pageGroups.map((group) => ({
+            contentHash: group.contentHash,
+            count: group._count._all,
+            items: itemsWithPresignedUrls.filter((item) => item.contentHash === group.contentHash),
+        }));
+
+        return {
+            groups,
+            metadata: {
+                page,
+                limit,
+                totalCount: allGroups.length,
+                totalPages: Math.ceil(allGroups.length / limit),
+            },
+        };
+    } catch (error) {
+        logger.error("Error getting duplicate storage items:", error);
+        throw error;
+    }
+};
+
+/**
+ * Move a storage item to the trash. Files are kept until the item is purged.
+ */
 export const deleteStorageItem = async (id, userId) => {
+    try {
+        const storageItem = await prisma.storageItem.findFirst({
+            where: { id, deletedAt: null },
+            select: { id: true, userId: true },
+        });
+
+        if (!storageItem) {
+            return { success: false, message: "Storage item not found" };
+        }
+
+        if (storageItem.userId !== userId) {
+            return { success: false, message: "You don't have permission to delete this item" };
+        }
+
+        await prisma.storageItem.update({
+            where: { id },
+            data: { deletedAt: new Date() },
+        });
+
+        return { success: true, message: "Storage item moved to trash" };
+    } catch (error) {
+        logger.error(`Error deleting storage item ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Permanently delete a storage item together with its files and related records
+ */
+export const purgeStorageItem = async (id) => {
     try {
         const storageItem = await prisma.storageItem.findUnique({
             where: { id },
@@ -181,6 +672,8 @@ export const deleteStorageItem = async (id, userId) => {
                 face: true,
                 socialMetas: true,
                 mediaMeta: true,
+                pages: true,
+                renditions: true,
             },
         });
 
@@ -188,10 +681,6 @@ export const deleteStorageItem = async (id, userId) => {
             return { success: false, message: "Storage item not found" };
         }
 
-        if (storageItem.userId !== userId) {
-            return { success: false, message: "You don't have permission to delete this item" };
-        }
-
         // Only delete files for file-based types (PHOTO, VIDEO, AUDIO, DOCUMENT)
         // Non-file types like EVENT, NOTE, LOCATION don't have files to delete
         const fileBasedTypes = ["PHOTO", "VIDEO", "AUDIO", "DOCUMENT"];
@@ -202,11 +691,14 @@ export const deleteStorageItem = async (id, userId) => {
                 await deleteFile(key);
             }
 
-            // Delete thumbnail if it exists
-            if (storageItem.thumbnail) {
-                const thumbnailKey = extractKeyFromUri(storageItem.thumbnail);
-                if (thumbnailKey) {
-                    await deleteFile(thumbnailKey);
+            // Delete the original, thumbnail, video preview, audio peaks, document pages and image renditions if they exist
+            const pageUris = storageItem.pages.map((page) => page.uri);
+            const renditionUris = storageItem.renditions.map((rendition) => rendition.uri);
+            const derivedUris = [storageItem.original, storageItem.thumbnail, storageItem.preview, storageItem.peaks, ...pageUris, ...renditionUris];
+            for (const derivedUri of derivedUris) {
+                const derivedKey = extractKeyFromUri(derivedUri);
+                if (derivedKey) {
+                    await deleteFile(derivedKey);
                 }
             }
         }
@@ -251,16 +743,57 @@ export const deleteStorageItem = async (id, userId) => {
             logger.error("Background cleanup error:", err);
         });
 
-        return { success: true, message: "Storage item deleted successfully" };
+        return { success: true, message: "Storage item deleted permanently" };
     } catch (error) {
-        logger.error(`Error deleting storage item ${id}:`, error);
+        logger.error(`Error purging storage item ${id}:`, error);
         throw error;
     }
 };
 
+/**
+ * Find the date an event or note refers to in its content or metadata, e.g. an event's start
+ */
+const findPayloadDate = (...payloads) => {
+    for (const payload of payloads) {
+        if (!payload || typeof payload !== "object") continue;
+
+        for (const field of ["startDate", "start", "date"]) {
+            const date = payload[field] ? new Date(payload[field]) : null;
+            if (date && !Number.isNaN(date.getTime())) return date;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build the stored content of a non-file item from its title, content and metadata.
+ * `content` is either the item's text (note body, event or link description) or an object with
+ * `body`, `startDate`, `endDate`, `location` and `attendees`, which may also be given in the metadata.
+ * Fields that are not provided are left undefined so updates keep their current value.
+ */
+const buildItemContent = ({ title, content, metadata }) => {
+    const details = content && typeof content === "object" ? content : {};
+    const extra = metadata || {};
+    const pick = (field) => (details[field] !== undefined ? details[field] : extra[field]);
+    const toDate = (value) => (value ? new Date(value) : value === undefined ? undefined : null);
+
+    const body = typeof content === "string" ? content : pick("body") !== undefined ? pick("body") : pick("description");
+
+    return {
+        title,
+        body,
+        startDate: toDate(pick("startDate") !== undefined ? pick("startDate") : pick("start")),
+        endDate: toDate(pick("endDate") !== undefined ? pick("endDate") : pick("end")),
+        location: pick("location"),
+        attendees: pick("attendees") === null ? [] : pick("attendees"),
+        metadata,
+    };
+};
+
 export const createNonFileStorageItem = async (itemData) => {
     try {
-        const { type, title, url, metadata, userId } = itemData;
+        const { type, title, content, url, metadata, userId } = itemData;
 
         let fileName = title || "Untitled";
         let mimeType = "application/json";
@@ -268,45 +801,37 @@ export const createNonFileStorageItem = async (itemData) => {
 
         let uri = url || "";
 
-        let storageItem;
+        const capturedAt = itemData.capturedAt || findPayloadDate(content, metadata) || new Date();
+        const itemContent = buildItemContent({ title, content, metadata });
 
-        if (type === "LOCATION" && metadata && metadata.lat && metadata.lng) {
-            const geoMeta = await prisma.geoMeta.create({
-                data: {
-                    lat: parseFloat(metadata.lat),
-                    lng: parseFloat(metadata.lng),
-                    place: metadata.place || null,
-                },
-            });
+        const geoMeta = type === "LOCATION" ? toGeoMetaData(metadata, "MANUAL") : null;
 
-            storageItem = await prisma.storageItem.create({
-                data: {
-                    uri,
-                    fileName,
-                    fileSize,
-                    mimeType,
-                    type,
-                    source: "MANUAL_INPUT",
-                    collectorType: "MANUAL",
-                    userId,
-                    geoMetaId: geoMeta.id,
-                    processedAt: null,
-                },
-            });
-        } else {
-            storageItem = await prisma.storageItem.create({
-                data: {
-                    uri,
-                    fileName,
-                    fileSize,
-                    mimeType,
-                    type,
-                    source: "MANUAL_INPUT",
-                    collectorType: "MANUAL",
-                    userId,
-                    processedAt: null,
-                },
-            });
+        const storageItem = await prisma.storageItem.create({
+            data: {
+                uri,
+                fileName,
+                fileSize,
+                mimeType,
+                type,
+                source: "MANUAL",
+                collectorType: "MANUAL",
+                userId,
+                capturedAt,
+                processedAt: null,
+                content: { create: itemContent },
+                ...(geoMeta && { geoMeta: { create: geoMeta } }),
+            },
+            include: { content: true, geoMeta: true },
+        });
+
+        await refreshSearchDocument(storageItem.id).catch((error) =>
+            logger.warn(`Could not refresh the search document of storage item ${storageItem.id}: ${error.message}`)
+        );
+
+        if (geoMeta) {
+            await assignStorageItemPlaces(storageItem.id).catch((error) =>
+                logger.warn(`Could not assign places to storage item ${storageItem.id}: ${error.message}`)
+            );
         }
 
         // Queue appropriate non-file items for enrichment
@@ -343,7 +868,68 @@ export const createNonFileStorageItem = async (itemData) => {
     }
 };
 
-const determineItemType = (mimetype) => {
+/**
+ * Edit the title and content of a non-file item (note, event, location, link or social media post).
+ * Returns null when the item doesn't exist or belongs to another user.
+ */
+export const updateNonFileStorageItem = async (id, userId, data) => {
+    try {
+        const existing = await prisma.storageItem.findFirst({
+            where: { id, userId, deletedAt: null },
+            select: { id: true, type: true },
+        });
+
+        if (!existing) return null;
+
+        if (FILE_TYPES.includes(existing.type)) {
+            throw new BadRequestError("Only non-file items can be edited");
+        }
+
+        const { title, content, metadata } = data;
+
+        if (existing.type === "LOCATION" && metadata !== undefined && !toGeoMetaData(metadata, "MANUAL")) {
+            throw new BadRequestError("Location metadata (lat, lng) is required for LOCATION items");
+        }
+
+        const itemContent = buildItemContent({ title, content, metadata });
+
+        const updateData = {};
+        if (title !== undefined) updateData.fileName = title || "Untitled";
+
+        // A new event date moves the item on the timeline unless it is dated explicitly
+        const capturedAt = data.capturedAt || findPayloadDate(content, metadata);
+        if (capturedAt) updateData.capturedAt = capturedAt;
+
+        await prisma.storageItem.update({
+            where: { id },
+            data: {
+                ...updateData,
+                content: {
+                    upsert: {
+                        create: itemContent,
+                        update: itemContent,
+                    },
+                },
+            },
+        });
+
+        if (existing.type === "LOCATION" && metadata) {
+            await upsertGeoMeta(id, metadata, "MANUAL");
+            await assignStorageItemPlaces(id).catch((error) => logger.warn(`Could not assign places to storage item ${id}: ${error.message}`));
+        }
+
+        await refreshSearchDocument(id).catch((error) =>
+            logger.warn(`Could not refresh the search document of storage item ${id}: ${error.message}`)
+        );
+
+        return await getStorageItemById(id);
+    } catch (error) {
+        logger.error(`Error updating storage item ${id}:`, error);
+        throw error;
+    }
+};
+
+export const determineItemType = (mimetype) => {
     if (mimetype.startsWith("image/")) return "PHOTO";
     if (mimetype.startsWith("video/")) return "VIDEO";
     if (mimetype.startsWith("audio/")) return "AUDIO";
@@ -360,9 +946,22 @@ const determineItemType = (mimetype) => {
 };
 
 export default {
+    decodeCameraImage,
+    createVideoPreviews,
+    createAudioWaveform,
+    createDocumentPreviews,
     createStorageItem,
+    createStorageItems,
+    findDuplicateItem,
+    saveStorageItem,
     getStorageItemById,
+    getStorageItemOriginal,
     getStorageItems,
+    timelineOrder,
+    getDuplicateGroups,
     deleteStorageItem,
+    purgeStorageItem,
     createNonFileStorageItem,
+    updateNonFileStorageItem,
+    determineItemType,
 };
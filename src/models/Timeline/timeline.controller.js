@@ -0,0 +1,86 @@
+import { getTimeline, getTimelineBucket, isValidTimezone, GRANULARITIES } from "./timeline.service.js";
+import { successResponse, BadRequestError, isValidDate } from "../../lib/helpers.js";
+import logger from "../../lib/logger.js";
+
+const MAX_PREVIEW_COUNT = 10;
+
+const validateGranularity = (granularity) => {
+    if (!GRANULARITIES.includes(granularity)) {
+        throw new BadRequestError(`Invalid granularity. Must be one of: ${GRANULARITIES.join(", ")}`);
+    }
+};
+
+const validateTimezone = (timezone) => {
+    if (!isValidTimezone(timezone)) {
+        throw new BadRequestError(`Invalid timezone: ${timezone}`);
+    }
+};
+
+/**
+ * Get the number of items per day, week, month or year with a preview of each bucket
+ */
+export const getUserTimeline = async (req, res, next) => {
+    try {
+        const { granularity = "month", timezone = "UTC", type, source, personId, startDate, endDate, previewCount } = req.query;
+
+        validateGranularity(granularity);
+        validateTimezone(timezone);
+
+        if (startDate && !isValidDate(startDate)) {
+            throw new BadRequestError("Invalid startDate");
+        }
+
+        if (endDate && !isValidDate(endDate)) {
+            throw new BadRequestError("Invalid endDate");
+        }
+
+        const result = await getTimeline(req.user.id, {
+            granularity,
+            timezone,
+            type,
+            source,
+            personId,
+            startDate,
+            endDate,
+            previewCount: previewCount !== undefined ? Math.min(Math.max(parseInt(previewCount) || 0, 0), MAX_PREVIEW_COUNT) : undefined,
+        });
+
+        return res.status(200).json(successResponse("Timeline retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving timeline:", error);
+        next(error);
+    }
+};
+
+/**
+ * Get the items of one timeline bucket
+ */
+export const getUserTimelineBucket = async (req, res, next) => {
+    try {
+        const { granularity, key } = req.params;
+        const { timezone = "UTC", type, source, personId, page, limit, cursor } = req.query;
+
+        validateGranularity(granularity);
+        validateTimezone(timezone);
+
+        const result = await getTimelineBucket(req.user.id, granularity, key, {
+            timezone,
+            type,
+            source,
+            personId,
+            page: page ? parseInt(page) : undefined,
+            limit: limit ? parseInt(limit) : undefined,
+            cursor,
+        });
+
+        return res.status(200).json(successResponse("Timeline bucket retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving timeline bucket:", error);
+        next(error);
+    }
+};
+
+export default {
+    getUserTimeline,
+    getUserTimelineBucket,
+};
@@ -0,0 +1,12 @@
+import express from "express";
+import { getUserTimeline, getUserTimelineBucket } from "./timeline.controller.js";
+import { authenticate } from "../../lib/middleware/authenticate.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", getUserTimeline);
+router.get("/:granularity/:key", getUserTimelineBucket);
+
+export default router;
@@ -0,0 +1,213 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../../lib/prisma.js";
+import logger from "../../lib/logger.js";
+import { replaceWithPresignedUrls } from "../../lib/s3Service.js";
+import { BadRequestError } from "../../lib/helpers.js";
+import { buildStorageItemFilters } from "../../lib/storageItemFilters.js";
+import { getStorageItems } from "../StorageItem/storageItem.service.js";
+
+export const GRANULARITIES = ["day", "week", "month", "year"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a timezone is a known IANA name like "Europe/Lisbon"
+ */
+export const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * ISO 8601 week key ("2023-W22") of the week starting on the given Monday
+ */
+const toWeekKey = (monday) => {
+    // The week belongs to the year its Thursday falls in
+    const thursday = new Date(monday.getTime() + 3 * DAY_MS);
+    const year = thursday.getUTCFullYear();
+    const week = Math.ceil(((thursday - Date.UTC(year, 0, 1)) / DAY_MS + 1) / 7);
+
+    return `${year}-W${String(week).padStart(2, "0")}`;
+};
+
+/**
+ * Build the key of a bucket from its local start time, returned by Postgres as a UTC date
+ */
+const toBucketKey = (localStart, granularity) => {
+    const iso = localStart.toISOString();
+
+    switch (granularity) {
+        case "day":
+            return iso.slice(0, 10);
+        case "week":
+            return toWeekKey(localStart);
+        case "month":
+            return iso.slice(0, 7);
+        default:
+            return iso.slice(0, 4);
+    }
+};
+
+/**
+ * Parse a bucket key into the local date ("YYYY-MM-DD") the bucket starts on
+ */
+const parseBucketKey = (key, granularity) => {
+    const patterns = {
+        day: /^(\d{4})-(\d{2})-(\d{2})$/,
+        week: /^(\d{4})-W(\d{2})$/,
+        month: /^(\d{4})-(\d{2})$/,
+        year: /^(\d{4})$/,
+    };
+
+    const match = key.match(patterns[granularity]);
+    if (!match) return null;
+
+    let start;
+    if (granularity === "week") {
+        const [, year, week] = match.map(Number);
+        // Week 1 is the week containing January 4th
+        const jan4 = Date.UTC(year, 0, 4);
+        const week1Monday = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * DAY_MS;
+        start = new Date(week1Monday + (week - 1) * 7 * DAY_MS);
+    } else {
+        const [, year, month = 1, day = 1] = match.map(Number);
+        start = new Date(Date.UTC(year, month - 1, day));
+    }
+
+    // Reject keys that don't round-trip, like "2023-02-30" or "2023-W60"
+    if (Number.isNaN(start.getTime()) || toBucketKey(start, granularity) !== key) return null;
+
+    return start.toISOString().slice(0, 10);
+};
+
+/**
+ * Count a user's items per day, week, month or year of their capture time in the given timezone,
+ * with a few representative items per bucket
+ */
+export const getTimeline = async (userId, options = {}) => {
+    try {
+        const { granularity = "month", timezone = "UTC", previewCount = 4, ...filters } = options;
+
+        if (!GRANULARITIES.includes(granularity)) {
+            throw new BadRequestError(`Invalid granularity. Must be one of: ${GRANULARITIES.join(", ")}`);
+        }
+
+        // Safe to inline, the granularity is one of GRANULARITIES
+        const unit = Prisma.raw(`'${granularity}'`);
+        const interval = `1 ${granularity}`;
+
+        const where = Prisma.join([...buildStorageItemFilters(userId, filters), Prisma.sql`si."capturedAt" IS NOT NULL`], " AND ");
+
+        // capturedAt is stored as UTC without a zone, so it is converted to the user's local time before truncating
+        const localItems = Prisma.sql`
+            SELECT
+                si."id",
+                si."thumbnail",
+                si."capturedAt",
+                date_trunc(${unit}, si."capturedAt" AT TIME ZONE 'UTC' AT TIME ZONE ${timezone}) AS "localStart"
+            FROM "storage_items" si
+            WHERE ${where}`;
+
+        const buckets = await prisma.$queryRaw`
+            SELECT
+                "localStart",
+                "localStart" AT TIME ZONE ${timezone} AS "start",
+                ("localStart" + ${interval}::interval) AT TIME ZONE ${timezone} AS "end",
+                COUNT(*)::int AS "count"
+            FROM (${localItems}) local_items
+            GROUP BY "localStart"
+            ORDER BY "localStart" DESC`;
+
+        // Prefer items with a thumbnail, most recent first
+        const previews =
+            previewCount > 0
+                ? await prisma.$queryRaw`
+                    SELECT "id", "localStart" FROM (
+                        SELECT
+                            "id",
+                            "localStart",
+                            ROW_NUMBER() OVER (PARTITION BY "localStart" ORDER BY ("thumbnail" IS NULL), "capturedAt" DESC) AS "rank"
+                        FROM (${localItems}) local_items
+                    ) ranked
+                    WHERE "rank" <= ${previewCount}`
+                : [];
+
+        const items = await prisma.storageItem.findMany({
+            where: { id: { in: previews.map((preview) => preview.id) } },
+            orderBy: { capturedAt: "desc" },
+        });
+        const presignedItems = await Promise.all(items.map((item) => replaceWithPresignedUrls(item)));
+        const bucketOfItem = new Map(previews.map((preview) => [preview.id, preview.localStart.getTime()]));
+
+        return {
+            granularity,
+            timezone,
+            totalCount: buckets.reduce((total, bucket) => total + bucket.count, 0),
+            buckets: buckets.map((bucket) => ({
+                key: toBucketKey(bucket.localStart, granularity),
+                start: bucket.start,
+                end: bucket.end,
+                count: bucket.count,
+                preview: presignedItems.filter((item) => bucketOfItem.get(item.id) === bucket.localStart.getTime()),
+            })),
+        };
+    } catch (error) {
+        logger.error("Error getting timeline:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get the items of a single timeline bucket, paginated like the storage list (page or cursor)
+ * @param {string} key - The bucket key, e.g. "2023-06-03", "2023-W22", "2023-06" or "2023"
+ */
+export const getTimelineBucket = async (userId, granularity, key, options = {}) => {
+    try {
+        const { timezone = "UTC", page, limit, cursor, type, source, personId } = options;
+
+        const localStart = parseBucketKey(key, granularity);
+        if (!localStart) {
+            throw new BadRequestError(`Invalid ${granularity} bucket key: ${key}`);
+        }
+
+        const interval = `1 ${granularity}`;
+
+        // Let Postgres resolve the bucket's local start and end into instants, including DST changes
+        const [{ start, end }] = await prisma.$queryRaw`
+            SELECT
+                ${localStart}::timestamp AT TIME ZONE ${timezone} AS "start",
+                (${localStart}::timestamp + ${interval}::interval) AT TIME ZONE ${timezone} AS "end"`;
+
+        const result = await getStorageItems({
+            userId,
+            page,
+            limit,
+            cursor,
+            type,
+            source,
+            personId,
+            startDate: start,
+            // The bucket end is exclusive
+            endDate: new Date(end.getTime() - 1),
+        });
+
+        return {
+            bucket: { key, granularity, timezone, start, end },
+            ...result,
+        };
+    } catch (error) {
+        logger.error(`Error getting timeline bucket ${granularity} ${key}:`, error);
+        throw error;
+    }
+};
+
+export default {
+    getTimeline,
+    getTimelineBucket,
+    isValidTimezone,
+    GRANULARITIES,
+};
@@ -0,0 +1,79 @@
+import { getTrash, restoreFromTrash, deleteFromTrash, TRASH_KINDS } from "./trash.service.js";
+import { successResponse, NotFoundError, BadRequestError } from "../../lib/helpers.js";
+import logger from "../../lib/logger.js";
+
+const validateKind = (kind) => {
+    if (!TRASH_KINDS.includes(kind)) {
+        throw new BadRequestError(`Invalid trash kind. Must be one of: ${TRASH_KINDS.join(", ")}`);
+    }
+};
+
+/**
+ * List the trashed items of the user
+ */
+export const getTrashItems = async (req, res, next) => {
+    try {
+        const { page, limit, kind } = req.query;
+
+        if (kind) {
+            validateKind(kind);
+        }
+
+        const result = await getTrash(req.user.id, {
+            page: page ? parseInt(page) : undefined,
+            limit: limit ? parseInt(limit) : undefined,
+            kind,
+        });
+
+        return res.status(200).json(successResponse("Trash retrieved successfully", result));
+    } catch (error) {
+        logger.error("Error retrieving trash:", error);
+        next(error);
+    }
+};
+
+/**
+ * Restore a trashed item
+ */
+export const restoreTrashItem = async (req, res, next) => {
+    try {
+        const { kind, id } = req.params;
+        validateKind(kind);
+
+        const result = await restoreFromTrash(kind, id, req.user.id);
+
+        if (!result.success) {
+            throw new NotFoundError(`Item with ID ${id} not found in trash`);
+        }
+
+        return res.status(200).json(successResponse(result.message));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Permanently delete a trashed item
+ */
+export const purgeTrashItem = async (req, res, next) => {
+    try {
+        const { kind, id } = req.params;
+        validateKind(kind);
+
+        const result = await deleteFromTrash(kind, id, req.user.id);
+
+        if (!result.success) {
+            throw new NotFoundError(`Item with ID ${id} not found in trash`);
+        }
+
+        return res.status(200).json(successResponse(result.message));
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getTrashItems,
+    restoreTrashItem,
+    purgeTrashItem,
+};
@@ -0,0 +1,13 @@
+import express from "express";
+import { getTrashItems, restoreTrashItem, purgeTrashItem } from "./trash.controller.js";
+import { authenticate } from "../../lib/middleware/authenticate.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", getTrashItems);
+router.post("/:kind/:id/restore", restoreTrashItem);
+router.delete("/:kind/:id", purgeTrashItem);
+
+export default router;
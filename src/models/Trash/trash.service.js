@@ -0,0 +1,293 @@
+import prisma from "../../lib/prisma.js";
+import logger from "../../lib/logger.js";
+import { replaceWithPresignedUrls, extractKeyFromUri, getPresignedUrl } from "../../lib/s3Service.js";
+import { purgeStorageItem } from "../StorageItem/storageItem.service.js";
+import { purgePerson } from "../Person/person.service.js";
+import "dotenv/config";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+export const TRASH_KINDS = ["storage", "people", "chronicles"];
+
+/**
+ * Number of days trashed records are kept before they are purged
+ */
+export const getRetentionDays = () => {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+    return Number.isInteger(days) && days >= 0 ? days : 30;
+};
+
+const withPurgeDate = (record) => ({
+    ...record,
+    purgeAt: new Date(record.deletedAt.getTime() + getRetentionDays() * DAY_MS),
+});
+
+const storageWhere = (userId) => ({
+    userId,
+    deletedAt: { not: null },
+});
+
+const peopleWhere = (userId) => ({
+    deletedAt: { not: null },
+    storageItems: {
+        some: {
+            userId,
+        },
+    },
+});
+
+const chroniclesWhere = (userId) => ({
+    userId,
+    deletedAt: { not: null },
+});
+
+const listTrashedStorage = async (userId, skip, take) => {
+    const items = await prisma.storageItem.findMany({
+        where: storageWhere(userId),
+        skip,
+        take,
+        orderBy: { deletedAt: "desc" },
+    });
+
+    return Promise.all(items.map(async (item) => withPurgeDate(await replaceWithPresignedUrls(item))));
+};
+
+const listTrashedPeople = async (userId, skip, take) => {
+    const people = await prisma.person.findMany({
+        where: peopleWhere(userId),
+        skip,
+        take,
+        orderBy: { deletedAt: "desc" },
+        include: {
+            profilePicture: true,
+        },
+    });
+
+    return Promise.all(
+        people.map(async (person) => {
+            if (person.profilePicture) {
+                const profilePicKey = extractKeyFromUri(person.profilePicture.s3Url);
+                if (profilePicKey) {
+                    person.profilePicture.s3Url = await getPresignedUrl(profilePicKey);
+                }
+            }
+            return withPurgeDate(person);
+        })
+    );
+};
+
+const listTrashedChronicles = async (userId, skip, take) => {
+    const chronicles = await prisma.chronicle.findMany({
+        where: chroniclesWhere(userId),
+        skip,
+        take,
+        orderBy: { deletedAt: "desc" },
+    });
+
+    return chronicles.map(withPurgeDate);
+};
+
+const trashListers = {
+    storage: { list: listTrashedStorage, count: (userId) => prisma.storageItem.count({ where: storageWhere(userId) }) },
+    people: { list: listTrashedPeople, count: (userId) => prisma.person.count({ where: peopleWhere(userId) }) },
+    chronicles: { list: listTrashedChronicles, count: (userId) => prisma.chronicle.count({ where: chroniclesWhere(userId) }) },
+};
+
+/**
+ * Get the trashed storage items, people and chronicles of a user
+ * @param {string} userId - The user ID
+ * @param {Object} options - Pagination options and an optional kind to restrict the listing
+ * @returns {Promise<Object>} One paginated list per kind
+ */
+export const getTrash = async (userId, options = {}) => {
+    try {
+        const { page = 1, limit = 20, kind } = options;
+        const skip = (page - 1) * limit;
+        const kinds = kind ? [kind] : TRASH_KINDS;
+
+        const result = { retentionDays: getRetentionDays() };
+
+        for (const trashKind of kinds) {
+            const { list, count } = trashListers[trashKind];
+            const [items, totalCount] = await Promise.all([list(userId, skip, limit), count(userId)]);
+
+            result[trashKind] = {
+                items,
+                metadata: {
+                    page,
+                    limit,
+                    totalCount,
+                    totalPages: Math.ceil(totalCount / limit),
+                },
+            };
+        }
+
+        return result;
+    } catch (error) {
+        logger.error("Error getting trash:", error);
+        throw error;
+    }
+};
+
+const findTrashed = (kind, id, userId) => {
+    switch (kind) {
+        case "storage":
+            return prisma.storageItem.findFirst({ where: { id, ...storageWhere(userId) }, select: { id: true } });
+        case "people":
+            return prisma.person.findFirst({ where: { id, ...peopleWhere(userId) }, select: { id: true } });
+        case "chronicles":
+            return prisma.chronicle.findFirst({ where: { id, ...chroniclesWhere(userId) }, select: { id: true } });
+        default:
+            return null;
+    }
+};
+
+/**
+ * Restore a trashed record
+ */
+export const restoreFromTrash = async (kind, id, userId) => {
+    try {
+        const record = await findTrashed(kind, id, userId);
+
+        if (!record) {
+            return { success: false, message: "Item not found in trash" };
+        }
+
+        const data = { deletedAt: null };
+
+        if (kind === "storage") {
+            await prisma.storageItem.update({ where: { id }, data });
+        } else if (kind === "people") {
+            await prisma.person.update({ where: { id }, data });
+        } else {
+            await prisma.chronicle.update({ where: { id }, data });
+        }
+
+        return { success: true, message: "Item restored successfully" };
+    } catch (error) {
+        logger.error(`Error restoring ${kind} ${id} from trash:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Permanently delete a trashed record before its retention period ends
+ */
+export const deleteFromTrash = async (kind, id, userId) => {
+    try {
+        const record = await findTrashed(kind, id, userId);
+
+        if (!record) {
+            return { success: false, message: "Item not found in trash" };
+        }
+
+        if (kind === "storage") {
+            await purgeStorageItem(id);
+        } else if (kind === "people") {
+            await purgePerson(id);
+        } else {
+            await prisma.chronicle.delete({ where: { id } });
+        }
+
+        return { success: true, message: "Item deleted permanently" };
+    } catch (error) {
+        logger.error(`Error permanently deleting ${kind} ${id}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Purge records in batches, continuing past individual failures
+ */
+const purgeInBatches = async (findBatch, purge, label) => {
+    let purged = 0;
+    const failedIds = new Set();
+
+    while (true) {
+        const records = await findBatch([...failedIds]);
+        if (records.length === 0) break;
+
+        for (const { id } of records) {
+            try {
+                await purge(id);
+                purged++;
+            } catch (error) {
+                failedIds.add(id);
+                logger.error(`Failed to purge ${label} ${id}:`, error);
+            }
+        }
+    }
+
+    return purged;
+};
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention period
+ */
+export const purgeExpiredTrash = async () => {
+    try {
+        const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+
+        const storageItems = await purgeInBatches(
+            (excludeIds) =>
+                prisma.storageItem.findMany({
+                    where: { deletedAt: { lt: cutoff }, id: { notIn: excludeIds } },
+                    select: { id: true },
+                    take: PURGE_BATCH_SIZE,
+                }),
+            purgeStorageItem,
+            "storage item"
+        );
+
+        const people = await purgeInBatches(
+            (excludeIds) =>
+                prisma.person.findMany({
+                    where: { deletedAt: { lt: cutoff }, id: { notIn: excludeIds } },
+                    select: { id: true },
+                    take: PURGE_BATCH_SIZE,
+                }),
+            purgePerson,
+            "person"
+        );
+
+        const { count: chronicles } = await prisma.chronicle.deleteMany({
+            where: { deletedAt: { lt: cutoff } },
+        });
+
+        if (storageItems || people || chronicles) {
+            logger.info(`Purged trash: ${storageItems} storage items, ${people} people, ${chronicles} chronicles`);
+        }
+
+        return { success: true, storageItems, people, chronicles };
+    } catch (error) {
+        logger.error("Error purging expired trash:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Run the trash purge now and then periodically
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+export const startTrashPurgeJob = () => {
+    const intervalHours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24;
+
+    purgeExpiredTrash();
+
+    const interval = setInterval(purgeExpiredTrash, intervalHours * 60 * 60 * 1000);
+    interval.unref();
+
+    logger.info(`Trash purge scheduled every ${intervalHours}h with ${getRetentionDays()} days retention`);
+
+    return interval;
+};
+
+export default {
+    getTrash,
+    restoreFromTrash,
+    deleteFromTrash,
+    purgeExpiredTrash,
+    startTrashPurgeJob,
+    getRetentionDays,
+};
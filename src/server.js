@@ -1,5 +1,7 @@
 import app from "./app.js";
 import logger from "./lib/logger.js";
+import { startTrashPurgeJob } from "./models/Trash/trash.service.js";
+import { startUploadCleanupJob } from "./models/StorageItem/Upload/upload.service.js";
 import "dotenv/config";
 
 const PORT = process.env.PORT;
@@ -7,4 +9,6 @@ const PORT = process.env.PORT;
 // Start the server
 app.listen(PORT, () => {
     console.log(`Server started on port ${PORT}`);
+    startTrashPurgeJob();
+    startUploadCleanupJob();
 });
@@ -0,0 +1,31 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { haversineDistance } from "../../src/lib/geoUtils.js";
+
+const LISBON = { lat: 38.7223, lng: -9.1393 };
+const PORTO = { lat: 41.1579, lng: -8.6291 };
+const PARIS = { lat: 48.8566, lng: 2.3522 };
+const LONDON = { lat: 51.5074, lng: -0.1278 };
+
+const assertClose = (actual, expected, tolerance) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+describe("haversineDistance", () => {
+    it("measures great-circle distances in kilometers", () => {
+        assertClose(haversineDistance(LISBON, PORTO), 274, 1);
+        assertClose(haversineDistance(PARIS, LONDON), 343.5, 1);
+    });
+
+    it("is zero between a point and itself and symmetric", () => {
+        assert.equal(haversineDistance(LISBON, LISBON), 0);
+        assert.equal(haversineDistance(LISBON, PORTO), haversineDistance(PORTO, LISBON));
+    });
+
+    it("goes the short way across the antimeridian", () => {
+        assertClose(haversineDistance({ lat: 0, lng: 179.5 }, { lat: 0, lng: -179.5 }), 111.2, 0.1);
+    });
+
+    it("reaches half the circumference between antipodes", () => {
+        assertClose(haversineDistance({ lat: 10, lng: 20 }, { lat: -10, lng: -160 }), Math.PI * 6371, 0.001);
+    });
+});
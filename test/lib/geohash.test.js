@@ -0,0 +1,56 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { encodeGeohash, geohashCellSize, MAX_GEOHASH_PRECISION } from "../../src/lib/geohash.js";
+
+describe("encodeGeohash", () => {
+    it("matches published geohashes", () => {
+        assert.equal(encodeGeohash(57.64911, 10.40744, 11), "u4pruydqqvj");
+        assert.equal(encodeGeohash(42.6, -5.6, 5), "ezs42");
+        assert.equal(encodeGeohash(-25.382708, -49.265506, 7), "6gkzwgj");
+    });
+
+    it("returns as many characters as the precision", () => {
+        for (let precision = 1; precision <= MAX_GEOHASH_PRECISION; precision++) {
+            assert.equal(encodeGeohash(38.7223, -9.1393, precision).length, precision);
+        }
+    });
+
+    it("gives nearby points a common prefix", () => {
+        const hash = encodeGeohash(38.7223, -9.1393, 8);
+
+        assert.ok(encodeGeohash(38.7224, -9.1392, 8).startsWith(hash.slice(0, 6)));
+    });
+
+    it("puts the boundaries of the world in the corner cells", () => {
+        assert.equal(encodeGeohash(-90, -180, 1), "0");
+        assert.equal(encodeGeohash(90, 180, 1), "z");
+    });
+});
+
+describe("geohashCellSize", () => {
+    it("splits the bits between longitude and latitude, longitude first", () => {
+        assert.deepEqual(geohashCellSize(1), { latHeight: 45, lngWidth: 45, rows: 4, columns: 8 });
+        assert.deepEqual(geohashCellSize(2), { latHeight: 180 / 32, lngWidth: 360 / 32, rows: 32, columns: 32 });
+    });
+
+    it("describes the cells encodeGeohash assigns points to", () => {
+        const points = [
+            [38.7223, -9.1393],
+            [-33.8688, 151.2093],
+            [64.1466, -21.9426],
+            [0.0001, -0.0001],
+        ];
+
+        for (let precision = 1; precision <= 8; precision++) {
+            const { latHeight, lngWidth } = geohashCellSize(precision);
+
+            for (const [lat, lng] of points) {
+                // The center of the grid cell holding a point has the point's geohash
+                const centerLat = -90 + (Math.floor((lat + 90) / latHeight) + 0.5) * latHeight;
+                const centerLng = -180 + (Math.floor((lng + 180) / lngWidth) + 0.5) * lngWidth;
+
+                assert.equal(encodeGeohash(centerLat, centerLng, precision), encodeGeohash(lat, lng, precision));
+            }
+        }
+    });
+});
@@ -0,0 +1,175 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { encodeCursor, decodeCursor, findPageByCursor } from "../../src/lib/pagination.js";
+
+/**
+ * In-memory stand-in for a Prisma delegate, supporting the where and orderBy shapes findPageByCursor builds
+ */
+const createDelegate = (records) => {
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+    const matchesField = (value, condition) => {
+        if (condition === null || condition instanceof Date || typeof condition !== "object") {
+            return condition === null ? value === null : value !== null && compare(value, condition) === 0;
+        }
+
+        return Object.entries(condition).every(([op, operand]) => {
+            if (op === "not") return operand === null ? value !== null : compare(value, operand) !== 0;
+            if (value === null) return false;
+            if (op === "lt") return compare(value, operand) < 0;
+            if (op === "gt") return compare(value, operand) > 0;
+            throw new Error(`Unsupported operator ${op}`);
+        });
+    };
+
+    const matches = (record, where) =>
+        Object.entries(where).every(([key, condition]) => {
+            if (key === "AND") return condition.every((part) => matches(record, part));
+            if (key === "OR") return condition.some((part) => matches(record, part));
+            return matchesField(record[key], condition);
+        });
+
+    const sorter = (orderBy) => (a, b) => {
+        for (const order of orderBy) {
+            const [field, spec] = Object.entries(order)[0];
+            const { sort, nulls } = typeof spec === "string" ? { sort: spec } : spec;
+
+            if (a[field] === null || b[field] === null) {
+                if (a[field] === b[field]) continue;
+                return (a[field] === null) === (nulls === "first") ? -1 : 1;
+            }
+
+            const result = compare(a[field], b[field]);
+            if (result !== 0) return sort === "desc" ? -result : result;
+        }
+        return 0;
+    };
+
+    return {
+        findMany: async ({ where, orderBy, take }) =>
+            records
+                .filter((record) => matches(record, where))
+                .sort(sorter(orderBy))
+                .slice(0, take),
+    };
+};
+
+const day = (n) => (n === null ? null : new Date(Date.UTC(2024, 0, n)));
+
+// Ties on the date and undated records, listed in the expected newest-first order
+const RECORDS = [
+    { id: "a", capturedAt: day(9) },
+    { id: "c", capturedAt: day(7) },
+    { id: "b", capturedAt: day(7) },
+    { id: "d", capturedAt: day(5) },
+    { id: "e", capturedAt: day(2) },
+    { id: "g", capturedAt: null },
+    { id: "f", capturedAt: null },
+];
+
+const listing = { where: {}, field: "capturedAt", sort: "desc", isDate: true, limit: 3 };
+
+const readAllPages = async (delegate) => {
+    const pages = [];
+    let cursor;
+
+    do {
+        const page = await findPageByCursor(delegate, { ...listing, cursor });
+        pages.push(page);
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    return pages;
+};
+
+describe("cursor encoding", () => {
+    it("round-trips the position of a record", () => {
+        const cursor = encodeCursor({ id: "b", capturedAt: day(7) }, "capturedAt", "next");
+
+        assert.deepEqual(decodeCursor(cursor, true), { value: day(7), id: "b", direction: "next" });
+    });
+
+    it("keeps null sort values", () => {
+        const cursor = encodeCursor({ id: "g", capturedAt: null }, "capturedAt", "prev");
+
+        assert.deepEqual(decodeCursor(cursor, true), { value: null, id: "g", direction: "prev" });
+    });
+
+    it("rejects malformed cursors with a 400", () => {
+        for (const cursor of ["not-a-cursor", Buffer.from(JSON.stringify({ v: 1, id: 2, d: "next" })).toString("base64url")]) {
+            assert.throws(() => decodeCursor(cursor), { statusCode: 400, message: "Invalid cursor" });
+        }
+    });
+
+    it("rejects cursors whose date does not parse", () => {
+        const cursor = encodeCursor({ id: "a", capturedAt: "yesterday" }, "capturedAt", "next");
+
+        assert.throws(() => decodeCursor(cursor, true), { statusCode: 400 });
+    });
+});
+
+describe("findPageByCursor", () => {
+    it("walks every record once, in order, with undated records last", async () => {
+        const pages = await readAllPages(createDelegate([...RECORDS].reverse()));
+
+        assert.deepEqual(
+            pages.map((page) => page.items.map((item) => item.id)),
+            [["a", "c", "b"], ["d", "e", "g"], ["f"]]
+        );
+        assert.equal(pages[0].prevCursor, null);
+        assert.equal(pages[2].nextCursor, null);
+    });
+
+    it("returns the previous page from a prev cursor", async () => {
+        const delegate = createDelegate([...RECORDS]);
+        const [, second, third] = await readAllPages(delegate);
+
+        const back = await findPageByCursor(delegate, { ...listing, cursor: third.prevCursor });
+        assert.deepEqual(
+            back.items.map((item) => item.id),
+            second.items.map((item) => item.id)
+        );
+        assert.ok(back.nextCursor);
+        assert.ok(back.prevCursor);
+
+        const first = await findPageByCursor(delegate, { ...listing, cursor: second.prevCursor });
+        assert.deepEqual(
+            first.items.map((item) => item.id),
+            ["a", "c", "b"]
+        );
+        assert.equal(first.prevCursor, null);
+    });
+
+    it("keeps the following pages stable when newer records are added", async () => {
+        const records = [...RECORDS];
+        const delegate = createDelegate(records);
+        const first = await findPageByCursor(delegate, listing);
+
+        records.push({ id: "z", capturedAt: day(20) }, { id: "y", capturedAt: day(8) });
+
+        const second = await findPageByCursor(delegate, { ...listing, cursor: first.nextCursor });
+        assert.deepEqual(
+            second.items.map((item) => item.id),
+            ["d", "e", "g"]
+        );
+    });
+
+    it("combines the cursor with the listing filters", async () => {
+        const delegate = createDelegate([...RECORDS]);
+        const where = { AND: [{ capturedAt: { not: null } }] };
+        const first = await findPageByCursor(delegate, { ...listing, where, limit: 2 });
+        const second = await findPageByCursor(delegate, { ...listing, where, limit: 2, cursor: first.nextCursor });
+
+        assert.deepEqual(
+            second.items.map((item) => item.id),
+            ["b", "d"]
+        );
+
+        const last = await findPageByCursor(delegate, { ...listing, where, limit: 2, cursor: second.nextCursor });
+        assert.deepEqual(
+            last.items.map((item) => item.id),
+            ["e"]
+        );
+        assert.equal(last.nextCursor, null);
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize, parseStorageQuery } from "../../../src/models/StorageItem/Query/queryParser.js";
+
+describe("tokenize", () => {
+    it("splits words, phrases and filters with their positions", () => {
+        assert.deepEqual(tokenize('beach "sunset walk" person:"Alice Smith" -type:video'), [
+            { raw: "beach", position: 0, negated: false, key: null, value: "beach" },
+            { raw: '"sunset walk"', position: 6, negated: false, key: null, value: "sunset walk" },
+            { raw: 'person:"Alice Smith"', position: 20, negated: false, key: "person", value: "Alice Smith" },
+            { raw: "-type:video", position: 41, negated: true, key: "type", value: "video" },
+        ]);
+    });
+
+    it("lowercases filter keys but not values", () => {
+        const [token] = tokenize("Label:Beach");
+
+        assert.equal(token.key, "label");
+        assert.equal(token.value, "Beach");
+    });
+
+    it("reads a key without a value as an empty value", () => {
+        const [token] = tokenize("city: ");
+
+        assert.equal(token.key, "city");
+        assert.equal(token.value, "");
+    });
+
+    it("rejects unterminated quotes", () => {
+        assert.throws(() => tokenize('person:"Alice'), {
+            statusCode: 400,
+            code: "invalid_query",
+            message: 'Unterminated quote in "person:"Alice" at position 0',
+        });
+    });
+});
+
+describe("parseStorageQuery", () => {
+    it("combines every token with AND", () => {
+        const where = parseStorageQuery("type:photo source:camera");
+
+        assert.deepEqual(where, { AND: [{ type: "PHOTO" }, { source: "CAMERA" }] });
+    });
+
+    it("matches plain words against file names and searchable text", () => {
+        const { AND } = parseStorageQuery("beach");
+
+        assert.deepEqual(AND, [
+            {
+                OR: [
+                    { fileName: { contains: "beach", mode: "insensitive" } },
+                    { searchDocument: { content: { contains: "beach", mode: "insensitive" } } },
+                ],
+            },
+        ]);
+    });
+
+    it("negates tokens prefixed with -", () => {
+        const { AND } = parseStorageQuery("-type:video");
+
+        assert.deepEqual(AND, [{ NOT: { type: "VIDEO" } }]);
+    });
+
+    it("turns dates into periods of the capture time", () => {
+        const { AND } = parseStorageQuery("after:2023-06 before:2024 on:2023-02-28");
+
+        assert.deepEqual(AND, [
+            { capturedAt: { gte: new Date("2023-06-01T00:00:00Z") } },
+            { capturedAt: { lt: new Date("2024-01-01T00:00:00Z") } },
+            { capturedAt: { gte: new Date("2023-02-28T00:00:00Z"), lt: new Date("2023-03-01T00:00:00Z") } },
+        ]);
+    });
+
+    it("covers a whole month or year with on:", () => {
+        const [month, year] = parseStorageQuery("on:2023-12 on:2024").AND;
+
+        assert.deepEqual(month, { capturedAt: { gte: new Date("2023-12-01T00:00:00Z"), lt: new Date("2024-01-01T00:00:00Z") } });
+        assert.deepEqual(year, { capturedAt: { gte: new Date("2024-01-01T00:00:00Z"), lt: new Date("2025-01-01T00:00:00Z") } });
+    });
+
+    it("matches labels as typed and capitalized", () => {
+        const [{ mediaMeta }] = parseStorageQuery("label:beach").AND;
+        const names = mediaMeta.some.OR.filter((condition) => condition.type === "LABEL").map(
+            (condition) => condition.payload.array_contains[0].name
+        );
+
+        assert.deepEqual(names, ["beach", "Beach"]);
+    });
+
+    it("matches countries by name or code", () => {
+        const [condition] = parseStorageQuery("country:PT").AND;
+
+        assert.deepEqual(condition, {
+            geoMeta: {
+                OR: [{ country: { equals: "PT", mode: "insensitive" } }, { countryCode: { equals: "PT", mode: "insensitive" } }],
+            },
+        });
+    });
+
+    it("returns an empty AND for an empty query", () => {
+        assert.deepEqual(parseStorageQuery("   "), { AND: [] });
+    });
+
+    const invalidQueries = [
+        ["color:red", 'Unknown filter "color"'],
+        ["type:hologram", "Unknown type"],
+        ["source:fax", "Unknown source"],
+        ["after:June", "Expected a date like 2023, 2023-06 or 2023-06-03"],
+        ["on:2023-02-30", "Invalid date"],
+        ["on:2023-13", "Invalid date"],
+        ["person:", "Missing value"],
+    ];
+
+    for (const [query, message] of invalidQueries) {
+        it(`rejects ${query} with a 400 pointing at the token`, () => {
+            const prefix = "beach ";
+
+            assert.throws(
+                () => parseStorageQuery(prefix + query),
+                (error) => {
+                    assert.equal(error.statusCode, 400);
+                    assert.equal(error.code, "invalid_query");
+                    assert.ok(error.message.startsWith(message), error.message);
+                    assert.deepEqual(error.errors, { token: query, position: prefix.length });
+                    return true;
+                }
+            );
+        });
+    }
+});